@@ -0,0 +1,36 @@
+// Aggregate counters for analytics events. Only totals are kept: per event
+// type, per label within a type, and per UTC day.
+
+const MAX_LABELS_PER_TYPE = 200;
+const MAX_DAYS = 90;
+const OTHER_LABEL = '(other)';
+
+export const emptyStats = (now = new Date()) => ({
+  since: now.toISOString(),
+  updatedAt: null,
+  totals: {},
+  labels: {},
+  days: {}
+});
+
+const pruneDays = (days) => Object.fromEntries(
+  Object.entries(days).sort(([a], [b]) => a.localeCompare(b)).slice(-MAX_DAYS)
+);
+
+/** Returns new stats with `events` counted in. Label lists are capped per type. */
+export const addEvents = (stats, events, now = new Date()) => {
+  const day = now.toISOString().slice(0, 10);
+  const totals = { ...stats.totals };
+  const labels = { ...stats.labels };
+  const days = { ...stats.days, [day]: (stats.days[day] ?? 0) + events.length };
+
+  events.forEach(({ type, label }) => {
+    totals[type] = (totals[type] ?? 0) + 1;
+    const counts = { ...labels[type] };
+    const key = label in counts || Object.keys(counts).length < MAX_LABELS_PER_TYPE ? label : OTHER_LABEL;
+    counts[key] = (counts[key] ?? 0) + 1;
+    labels[type] = counts;
+  });
+
+  return { ...stats, updatedAt: now.toISOString(), totals, labels, days: pruneDays(days) };
+};
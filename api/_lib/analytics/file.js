@@ -0,0 +1,33 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { addEvents, emptyStats } from './aggregate.js';
+
+const readStats = async (filePath) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return emptyStats();
+    throw error;
+  }
+};
+
+/**
+ * Keeps the aggregates in one JSON file. Writes are chained so concurrent
+ * batches in the same instance never overwrite each other.
+ */
+export const createFileStore = ({ filePath }) => {
+  let pending = Promise.resolve();
+
+  return {
+    name: 'file',
+    read: () => readStats(filePath),
+    record(events) {
+      pending = pending.catch(() => {}).then(async () => {
+        const stats = addEvents(await readStats(filePath), events);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, `${JSON.stringify(stats, null, 2)}\n`);
+      });
+      return pending;
+    }
+  };
+};
@@ -0,0 +1,19 @@
+import path from 'node:path';
+import { createFileStore } from './file.js';
+import { createMemoryStore } from './memory.js';
+
+const DEFAULT_DATA_PATH = '.data/analytics.json';
+
+/**
+ * Picks the analytics store from the environment:
+ *
+ * - `ANALYTICS_STORE=memory` keeps counts in the warm instance only.
+ * - Anything else writes a JSON file at `ANALYTICS_DATA_PATH`. On Vercel only
+ *   `/tmp` is writable, so point it there (or at a mounted volume).
+ *
+ * Every store exposes `record(events)` and `read()`.
+ */
+export const createEventStore = (env = process.env) => {
+  if (env.ANALYTICS_STORE === 'memory') return createMemoryStore();
+  return createFileStore({ filePath: path.resolve(env.ANALYTICS_DATA_PATH || DEFAULT_DATA_PATH) });
+};
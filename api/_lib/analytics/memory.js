@@ -0,0 +1,14 @@
+import { addEvents, emptyStats } from './aggregate.js';
+
+/** Keeps the aggregates in the function instance's memory, e.g. for previews. */
+export const createMemoryStore = () => {
+  let stats = emptyStats();
+
+  return {
+    name: 'memory',
+    read: async () => stats,
+    async record(events) {
+      stats = addEvents(stats, events);
+    }
+  };
+};
@@ -0,0 +1,29 @@
+// Request helpers shared by the serverless functions in `api/`. Files under
+// `api/_lib` are not deployed as functions themselves.
+
+export const getClientIp = (req) => {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (typeof forwarded === 'string' && forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+};
+
+export const allowMethods = (req, res, methods) => {
+  if (methods.includes(req.method)) return true;
+  res.setHeader('Allow', methods.join(', '));
+  res.status(405).json({ ok: false, error: 'method_not_allowed' });
+  return false;
+};
+
+/** Accepts both the parsed body Vercel provides and raw JSON strings. */
+export const readJsonBody = (req) => {
+  if (typeof req.body === 'string') {
+    try {
+      return JSON.parse(req.body);
+    } catch {
+      return null;
+    }
+  }
+  return req.body && typeof req.body === 'object' ? req.body : null;
+};
@@ -0,0 +1,6 @@
+export const createConsoleTransport = ({ log = console.info } = {}) => ({
+  name: 'console',
+  async send(message) {
+    log(`[contact] ${message.subject}\nReply-To: ${message.replyTo}\n\n${message.text}`);
+  }
+});
@@ -0,0 +1,12 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/** Appends each message as one JSON line, e.g. to inspect submissions offline. */
+export const createFileTransport = ({ filePath }) => ({
+  name: 'file',
+  async send(message) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const entry = { ...message, sentAt: new Date().toISOString() };
+    await fs.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+  }
+});
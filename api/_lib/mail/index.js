@@ -0,0 +1,38 @@
+import path from 'node:path';
+import { createConsoleTransport } from './console.js';
+import { createFileTransport } from './file.js';
+import { createResendTransport } from './resend.js';
+
+const DEFAULT_OUTBOX = '.data/contact-outbox.jsonl';
+
+/**
+ * Picks the mail transport from the environment:
+ *
+ * - `CONTACT_TRANSPORT=resend` sends through Resend (`RESEND_API_KEY`,
+ *   `CONTACT_FROM_EMAIL`).
+ * - `CONTACT_TRANSPORT=file` appends to `CONTACT_OUTBOX_PATH`.
+ * - Anything else logs messages to the console, which is only allowed in
+ *   local development. On a deployment (`VERCEL_ENV` set to anything but
+ *   `development`) or with `NODE_ENV=production` it throws, so messages are
+ *   never silently dropped.
+ *
+ * Every transport exposes `send({ to, replyTo, subject, text })`.
+ */
+export const createMailTransport = (env = process.env) => {
+  switch (env.CONTACT_TRANSPORT) {
+    case 'resend':
+      if (!env.RESEND_API_KEY || !env.CONTACT_FROM_EMAIL) {
+        throw new Error('CONTACT_TRANSPORT=resend needs RESEND_API_KEY and CONTACT_FROM_EMAIL.');
+      }
+      return createResendTransport({ apiKey: env.RESEND_API_KEY, from: env.CONTACT_FROM_EMAIL });
+    case 'file':
+      return createFileTransport({
+        filePath: path.resolve(env.CONTACT_OUTBOX_PATH || DEFAULT_OUTBOX)
+      });
+    default:
+      if ((env.VERCEL_ENV && env.VERCEL_ENV !== 'development') || env.NODE_ENV === 'production') {
+        throw new Error('CONTACT_TRANSPORT must be set to resend or file outside local development.');
+      }
+      return createConsoleTransport();
+  }
+};
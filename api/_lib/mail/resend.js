@@ -0,0 +1,25 @@
+const RESEND_ENDPOINT = 'https://api.resend.com/emails';
+
+export const createResendTransport = ({ apiKey, from }) => ({
+  name: 'resend',
+  async send(message) {
+    const response = await fetch(RESEND_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        from,
+        to: [message.to],
+        reply_to: message.replyTo,
+        subject: message.subject,
+        text: message.text
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Resend responded with ${response.status}: ${await response.text()}`);
+    }
+  }
+});
@@ -0,0 +1,34 @@
+/**
+ * Fixed-window limiter keyed by client (usually the IP). State lives in the
+ * function instance's memory, so limits apply per warm instance; that is enough
+ * to stop a single client from flooding the form.
+ */
+export const createRateLimiter = ({ limit, windowMs, now = Date.now }) => {
+  const windows = new Map();
+
+  const prune = (time) => {
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= time) windows.delete(key);
+    });
+  };
+
+  return {
+    /** Records a hit and returns `{ allowed, retryAfterMs }`. */
+    hit(key) {
+      const time = now();
+      if (windows.size > 1000) prune(time);
+
+      const entry = windows.get(key);
+      if (!entry || entry.resetAt <= time) {
+        windows.set(key, { count: 1, resetAt: time + windowMs });
+        return { allowed: true, retryAfterMs: 0 };
+      }
+
+      entry.count += 1;
+      return {
+        allowed: entry.count <= limit,
+        retryAfterMs: entry.count <= limit ? 0 : entry.resetAt - time
+      };
+    }
+  };
+};
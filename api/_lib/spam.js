@@ -0,0 +1,16 @@
+// Submissions faster than a person could fill in the form, or from a form left
+// open for over a day, are treated as automated.
+const MIN_FILL_MS = 3000;
+const MAX_FILL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the reason a submission looks automated, or null. `website` is a
+ * honeypot field hidden from people; `elapsedMs` is how long the form was open.
+ */
+export const detectSpam = ({ website, elapsedMs }) => {
+  if (typeof website === 'string' && website.trim() !== '') return 'honeypot';
+  if (typeof elapsedMs !== 'number' || !Number.isFinite(elapsedMs)) return 'missing_timing';
+  if (elapsedMs < MIN_FILL_MS) return 'too_fast';
+  if (elapsedMs > MAX_FILL_MS) return 'stale_form';
+  return null;
+};
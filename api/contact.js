@@ -0,0 +1,81 @@
+import site from '../src/content/site.json' with { type: 'json' };
+import { validateContact } from '../src/contact/validation.js';
+import { createTranslator } from '../src/i18n/translate.js';
+import { allowMethods, getClientIp, readJsonBody } from './_lib/http.js';
+import { createMailTransport } from './_lib/mail/index.js';
+import { createRateLimiter } from './_lib/rateLimit.js';
+import { detectSpam } from './_lib/spam.js';
+
+const limiter = createRateLimiter({ limit: 5, windowMs: 10 * 60 * 1000 });
+
+// Notifications go to the site owner, so they are always written in English.
+const t = createTranslator('en');
+const reasonLabel = (reason) => t(`contact.reasons.${reason}`);
+
+// The visitor's name is only fit for a header once nothing in it can close
+// the quoted display name, start another address or start another header.
+const headerName = (name) => name.replace(/[<>",\\\r\n]+/g, ' ').replace(/\s+/g, ' ').trim();
+const replyTo = (name, email) => (name ? `"${name}" <${email}>` : email);
+
+let transport;
+const getTransport = () => {
+  transport ??= createMailTransport(process.env);
+  return transport;
+};
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['POST'])) return;
+
+  const { allowed, retryAfterMs } = limiter.hit(getClientIp(req));
+  if (!allowed) {
+    res.setHeader('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    res.status(429).json({ ok: false, error: 'rate_limited' });
+    return;
+  }
+
+  const body = readJsonBody(req);
+  if (!body) {
+    res.status(400).json({ ok: false, error: 'invalid_body' });
+    return;
+  }
+
+  // Bots get the same response as people so they have nothing to adapt to.
+  const spamReason = detectSpam(body);
+  if (spamReason) {
+    console.warn(`[contact] dropped submission: ${spamReason}`);
+    res.status(200).json({ ok: true });
+    return;
+  }
+
+  const { values, errors } = validateContact(body);
+  if (Object.keys(errors).length > 0) {
+    res.status(400).json({ ok: false, error: 'invalid_fields', errors });
+    return;
+  }
+
+  let mail;
+  try {
+    mail = getTransport();
+  } catch (error) {
+    console.error('[contact] mail transport is not configured', error);
+    res.status(500).json({ ok: false, error: 'not_configured' });
+    return;
+  }
+
+  const name = headerName(values.name);
+
+  try {
+    await mail.send({
+      to: process.env.CONTACT_TO_EMAIL || site.email,
+      replyTo: replyTo(name, values.email),
+      subject: `[${reasonLabel(values.reason)}] Message from ${name || values.email}`,
+      text: `${values.message}\n\n--\n${values.name} <${values.email}>\nReason: ${reasonLabel(values.reason)}`
+    });
+  } catch (error) {
+    console.error('[contact] delivery failed', error);
+    res.status(502).json({ ok: false, error: 'delivery_failed' });
+    return;
+  }
+
+  res.status(200).json({ ok: true });
+}
@@ -0,0 +1,65 @@
+import { normalizeEvents } from '../src/analytics/events.js';
+import { createEventStore } from './_lib/analytics/index.js';
+import { allowMethods, getClientIp, readJsonBody } from './_lib/http.js';
+import { createRateLimiter } from './_lib/rateLimit.js';
+
+const limiter = createRateLimiter({ limit: 60, windowMs: 10 * 60 * 1000 });
+
+let store;
+const getStore = () => {
+  store ??= createEventStore(process.env);
+  return store;
+};
+
+// The tracker already stays quiet for these visitors; this covers clients that
+// send the headers without exposing them to scripts.
+const optedOut = (req) => req.headers.dnt === '1' || req.headers['sec-gpc'] === '1';
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET', 'POST'])) return;
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method === 'GET') {
+    try {
+      res.status(200).json({ ok: true, stats: await getStore().read() });
+    } catch (error) {
+      console.error('[events] could not read stats', error);
+      res.status(500).json({ ok: false, error: 'store_unavailable' });
+    }
+    return;
+  }
+
+  if (optedOut(req)) {
+    res.status(204).end();
+    return;
+  }
+
+  const { allowed, retryAfterMs } = limiter.hit(getClientIp(req));
+  if (!allowed) {
+    res.setHeader('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    res.status(429).json({ ok: false, error: 'rate_limited' });
+    return;
+  }
+
+  const body = readJsonBody(req);
+  if (!body) {
+    res.status(400).json({ ok: false, error: 'invalid_body' });
+    return;
+  }
+
+  const events = normalizeEvents(body);
+  if (events.length === 0) {
+    res.status(204).end();
+    return;
+  }
+
+  try {
+    await getStore().record(events);
+  } catch (error) {
+    console.error('[events] could not record batch', error);
+    res.status(500).json({ ok: false, error: 'store_unavailable' });
+    return;
+  }
+
+  res.status(204).end();
+}
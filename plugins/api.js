@@ -0,0 +1,82 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new Error('Request body too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const parseBody = (raw, contentType = '') => {
+  if (!raw) return undefined;
+  if (contentType.includes('application/json')) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  }
+  return raw;
+};
+
+// Adds the `res.status()` / `res.json()` helpers Vercel's Node runtime provides.
+const decorateResponse = (res) => {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (payload) => {
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(payload));
+    return res;
+  };
+  return res;
+};
+
+/**
+ * Serves `api/<name>.js` serverless functions from the Vite dev server so the
+ * site and its functions run together offline, without `vercel dev`.
+ */
+export default function apiPlugin({ dir = 'api' } = {}) {
+  let apiDir;
+
+  return {
+    name: 'api-functions',
+    apply: 'serve',
+
+    configResolved(config) {
+      apiDir = path.resolve(config.root, dir);
+    },
+
+    configureServer(server) {
+      server.middlewares.use('/api', async (req, res, next) => {
+        const url = new URL(req.originalUrl ?? req.url, 'http://localhost');
+        const name = url.pathname.replace(/^\/api\/?/, '').replace(/\/+$/, '');
+        const file = path.join(apiDir, `${name}.js`);
+        if (!/^[a-z0-9-]+$/.test(name) || !fs.existsSync(file)) return next();
+
+        try {
+          const { default: handler } = await server.ssrLoadModule(file);
+          req.query = Object.fromEntries(url.searchParams);
+          req.body = parseBody(await readBody(req), req.headers['content-type']);
+          await handler(req, decorateResponse(res));
+        } catch (error) {
+          next(error);
+        }
+        return undefined;
+      });
+    }
+  };
+}
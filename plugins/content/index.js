@@ -0,0 +1,252 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import YAML from 'yaml';
+import { DEFAULT_LOCALE, LOCALE_CODES } from '../../src/i18n/locales.js';
+import { readingMinutes, renderMarkdown } from './markdown.js';
+import { validate } from './schema.js';
+import {
+  checkNoteTags,
+  checkReferences,
+  experiencesSchema,
+  jobSkillsSchema,
+  localeSchema,
+  localizeContent,
+  noteSchema,
+  projectsSchema,
+  siteSchema,
+  skillCategoriesSchema,
+  skillSynonymsSchema,
+  slug,
+  testimonialsSchema
+} from './schemas.js';
+
+const VIRTUAL_ID = 'virtual:content';
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+
+// Export name -> source file and schema. Every entry becomes a named export of
+// `virtual:content` holding the default-locale content.
+const SOURCES = {
+  site: { file: 'site.json', schema: siteSchema },
+  experiences: { file: 'experiences.json', schema: experiencesSchema },
+  skillCategories: { file: 'skills.json', schema: skillCategoriesSchema },
+  projects: { file: 'projects.json', schema: projectsSchema },
+  testimonials: { file: 'testimonials.json', schema: testimonialsSchema },
+  skillSynonyms: { file: 'skill-synonyms.json', schema: skillSynonymsSchema },
+  jobSkills: { file: 'job-skills.json', schema: jobSkillsSchema }
+};
+
+export class ContentError extends Error {
+  constructor(file, problems) {
+    super(`Invalid site content in ${file}:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ContentError';
+    this.file = file;
+    this.problems = problems;
+  }
+}
+
+const readJson = (filePath, displayPath) => {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch {
+    throw new ContentError(displayPath, ['file is missing']);
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new ContentError(displayPath, [`is not valid JSON (${error.message})`]);
+  }
+};
+
+/**
+ * Reads and validates every content file in `contentDir`, then the references
+ * between them. Throws a ContentError describing every problem in the first
+ * invalid file.
+ */
+export const loadContent = (contentDir, root = process.cwd()) => {
+  const content = {};
+
+  Object.entries(SOURCES).forEach(([name, { file, schema }]) => {
+    const filePath = path.join(contentDir, file);
+    const displayPath = path.relative(root, filePath);
+    const data = readJson(filePath, displayPath);
+    const problems = validate(schema, data, name);
+    if (problems.length > 0) {
+      throw new ContentError(displayPath, problems);
+    }
+    content[name] = data;
+  });
+
+  checkReferences(content).forEach(({ name, problems }) => {
+    if (problems.length === 0) return;
+    throw new ContentError(path.relative(root, path.join(contentDir, SOURCES[name].file)), problems);
+  });
+
+  return content;
+};
+
+// Translations of the default-locale content live in `locales/<code>.json`.
+const TRANSLATED_LOCALES = LOCALE_CODES.filter((code) => code !== DEFAULT_LOCALE);
+const localeFile = (code) => path.join('locales', `${code}.json`);
+
+/**
+ * Loads the content plus every translation. Returns the content keyed by
+ * locale code; a translation file that misses or misnames any entry or field
+ * throws a ContentError.
+ */
+export const loadLocalizedContent = (contentDir, root = process.cwd()) => {
+  const content = loadContent(contentDir, root);
+  const schema = localeSchema(content);
+  const localized = { [DEFAULT_LOCALE]: content };
+
+  TRANSLATED_LOCALES.forEach((code) => {
+    const filePath = path.join(contentDir, localeFile(code));
+    const displayPath = path.relative(root, filePath);
+    const translations = readJson(filePath, displayPath);
+    const problems = validate(schema, translations, code);
+    if (problems.length > 0) {
+      throw new ContentError(displayPath, problems);
+    }
+    localized[code] = localizeContent(content, translations);
+  });
+
+  return localized;
+};
+
+// Notes are Markdown files with a YAML front matter block, named by slug:
+// `notes/<slug>.md`.
+const NOTES_DIR = 'notes';
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/;
+
+export const noteFiles = (contentDir) => {
+  const notesDir = path.join(contentDir, NOTES_DIR);
+  if (!fs.existsSync(notesDir)) return [];
+  return fs.readdirSync(notesDir)
+    .filter((file) => file.endsWith('.md'))
+    .sort()
+    .map((file) => path.join(notesDir, file));
+};
+
+const readNote = (filePath, displayPath) => {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const match = raw.match(FRONT_MATTER);
+  if (!match) {
+    throw new ContentError(displayPath, ['must start with a front matter block between --- lines']);
+  }
+
+  try {
+    return { data: YAML.parse(match[1]), body: raw.slice(match[0].length) };
+  } catch (error) {
+    throw new ContentError(displayPath, [`front matter is not valid YAML (${error.message})`]);
+  }
+};
+
+const noteLink = (note) => (note ? { slug: note.slug, title: note.title } : null);
+
+/**
+ * Reads, validates and renders every note, newest first. Each note carries its
+ * HTML, reading time in minutes and its `newer`/`older` neighbours. Drafts are
+ * skipped unless `includeDrafts` is set. `content` is the validated site
+ * content, used to check tags against the skills.
+ */
+export const loadNotes = (contentDir, content, { root = process.cwd(), includeDrafts = false } = {}) => {
+  const notes = noteFiles(contentDir)
+    .map((filePath) => {
+      const displayPath = path.relative(root, filePath);
+      const noteSlug = path.basename(filePath, '.md');
+      const { data, body } = readNote(filePath, displayPath);
+      const problems = [...validate(slug(), noteSlug, 'file name'), ...validate(noteSchema, data, 'note')];
+      if (problems.length === 0) problems.push(...checkNoteTags(data.tags, content, 'note'));
+      if (problems.length > 0) {
+        throw new ContentError(displayPath, problems);
+      }
+
+      return {
+        slug: noteSlug,
+        ...data,
+        draft: data.draft ?? false,
+        readingMinutes: readingMinutes(body),
+        html: renderMarkdown(body)
+      };
+    })
+    .filter((note) => includeDrafts || !note.draft)
+    .sort((a, b) => b.date.localeCompare(a.date) || a.slug.localeCompare(b.slug));
+
+  return notes.map((note, index) => ({
+    ...note,
+    newer: noteLink(notes[index - 1]),
+    older: noteLink(notes[index + 1])
+  }));
+};
+
+export const contentFiles = (contentDir) => [
+  ...Object.values(SOURCES).map(({ file }) => path.join(contentDir, file)),
+  ...TRANSLATED_LOCALES.map((code) => path.join(contentDir, localeFile(code))),
+  ...noteFiles(contentDir)
+];
+
+export default function contentPlugin({ dir = 'src/content' } = {}) {
+  let root = process.cwd();
+  let contentDir = path.resolve(root, dir);
+  // The dev server shows drafts; builds leave them out.
+  let includeDrafts = false;
+
+  const load = () => {
+    const localized = loadLocalizedContent(contentDir, root);
+    const notes = loadNotes(contentDir, localized[DEFAULT_LOCALE], { root, includeDrafts });
+    return { localized, notes };
+  };
+
+  return {
+    name: 'site-content',
+
+    configResolved(config) {
+      root = config.root;
+      contentDir = path.resolve(root, dir);
+      includeDrafts = config.command === 'serve';
+    },
+
+    buildStart() {
+      try {
+        load();
+      } catch (error) {
+        this.error(error.message);
+      }
+    },
+
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_ID : null;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_ID) return null;
+
+      contentFiles(contentDir).forEach((file) => this.addWatchFile(file));
+
+      let loaded;
+      try {
+        loaded = load();
+      } catch (error) {
+        this.error(error.message);
+      }
+
+      // Notes are written in the default locale only and shared by every locale.
+      return [
+        `export const localizedContent = ${JSON.stringify(loaded.localized, null, 2)};`,
+        ...Object.keys(SOURCES)
+          .map((name) => `export const ${name} = localizedContent.${DEFAULT_LOCALE}.${name};`),
+        `export const notes = ${JSON.stringify(loaded.notes, null, 2)};`
+      ].join('\n');
+    },
+
+    handleHotUpdate({ file, server }) {
+      if (!file.startsWith(contentDir)) return undefined;
+
+      const module = server.moduleGraph.getModuleById(RESOLVED_ID);
+      if (module) server.moduleGraph.invalidateModule(module);
+      server.ws.send({ type: 'full-reload' });
+      return [];
+    }
+  };
+}
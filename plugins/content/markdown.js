@@ -0,0 +1,63 @@
+import hljs from 'highlight.js/lib/common';
+import { Marked } from 'marked';
+
+// Markdown for notes, rendered once at build time. Code blocks are
+// highlighted into `hljs-*` spans (colored by index.css), headings get ids
+// for deep links and external links open in a new tab.
+
+const WORDS_PER_MINUTE = 225;
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const toHeadingId = (html) => html
+  .replace(/<[^>]+>/g, '')
+  .replace(/&[a-z#0-9]+;/gi, '')
+  .toLowerCase()
+  .trim()
+  .replace(/[^\p{L}\p{N}\s-]/gu, '')
+  .replace(/\s+/g, '-');
+
+const createMarked = (usedIds) => new Marked({
+  gfm: true,
+  renderer: {
+    code({ text, lang }) {
+      const language = lang?.trim().split(/\s+/)[0];
+      if (!language || !hljs.getLanguage(language)) {
+        return `<pre class="note-code"><code class="hljs">${escapeHtml(text)}</code></pre>\n`;
+      }
+      const { value } = hljs.highlight(text, { language, ignoreIllegals: true });
+      return `<pre class="note-code" data-language="${escapeHtml(language)}"><code class="hljs language-${escapeHtml(language)}">${value}</code></pre>\n`;
+    },
+
+    heading({ tokens, depth }) {
+      const html = this.parser.parseInline(tokens);
+      const base = toHeadingId(html) || 'section';
+      let id = base;
+      for (let count = 2; usedIds.has(id); count += 1) id = `${base}-${count}`;
+      usedIds.add(id);
+      return `<h${depth} id="${id}">${html}</h${depth}>\n`;
+    },
+
+    link({ href, title, tokens }) {
+      const text = this.parser.parseInline(tokens);
+      const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+      const external = /^https?:\/\//.test(href) ? ' target="_blank" rel="noreferrer"' : '';
+      return `<a href="${escapeHtml(href)}"${titleAttr}${external}>${text}</a>`;
+    }
+  }
+});
+
+export const renderMarkdown = (source) => createMarked(new Set()).parse(source);
+
+/** Whole minutes to read `source` at a steady pace, never less than one. */
+export const readingMinutes = (source) => {
+  const words = source
+    .replace(/[#>*_`~[\]()|-]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean).length;
+  return Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+};
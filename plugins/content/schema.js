@@ -0,0 +1,126 @@
+// Tiny declarative validators for build-time content checks. Each validator is
+// called as `validator(value, path, errors)` and pushes readable messages onto
+// `errors` instead of throwing, so a single build reports every problem at once.
+
+const describe = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  return `a ${typeof value}`;
+};
+
+const isPlainObject = (value) => (
+  typeof value === 'object' && value !== null && !Array.isArray(value)
+);
+
+export const optional = (validator) => {
+  const check = (value, path, errors) => {
+    if (value === undefined) return;
+    validator(value, path, errors);
+  };
+  check.optional = true;
+  return check;
+};
+
+export const string = ({ pattern, hint, minLength = 1 } = {}) => (value, path, errors) => {
+  if (typeof value !== 'string') {
+    errors.push(`${path}: expected a string, got ${describe(value)}`);
+    return;
+  }
+
+  if (value.trim().length < minLength) {
+    errors.push(`${path}: must not be empty`);
+    return;
+  }
+
+  if (pattern && !pattern.test(value)) {
+    errors.push(`${path}: "${value}" is not ${hint ?? `matching ${pattern}`}`);
+  }
+};
+
+export const number = ({ min, max, integer = false } = {}) => (value, path, errors) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    errors.push(`${path}: expected a number, got ${describe(value)}`);
+    return;
+  }
+
+  if (integer && !Number.isInteger(value)) {
+    errors.push(`${path}: expected a whole number, got ${value}`);
+  }
+  if (min !== undefined && value < min) {
+    errors.push(`${path}: must be at least ${min}, got ${value}`);
+  }
+  if (max !== undefined && value > max) {
+    errors.push(`${path}: must be at most ${max}, got ${value}`);
+  }
+};
+
+export const boolean = () => (value, path, errors) => {
+  if (typeof value !== 'boolean') {
+    errors.push(`${path}: expected true or false, got ${describe(value)}`);
+  }
+};
+
+export const oneOf = (allowed) => (value, path, errors) => {
+  if (!allowed.includes(value)) {
+    errors.push(`${path}: expected one of ${allowed.map((entry) => `"${entry}"`).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+};
+
+/**
+ * `unique` may be `true` (compare entries directly) or a function returning the
+ * comparison key, e.g. `(tag) => tag.toLowerCase()`.
+ */
+export const array = (item, { minItems = 0, maxItems = Infinity, unique = false, label = 'entry' } = {}) => (value, path, errors) => {
+  if (!Array.isArray(value)) {
+    errors.push(`${path}: expected a list, got ${describe(value)}`);
+    return;
+  }
+
+  if (value.length < minItems) {
+    errors.push(`${path}: needs at least ${minItems} ${label}${minItems === 1 ? '' : 's'}`);
+  }
+  if (value.length > maxItems) {
+    errors.push(`${path}: allows at most ${maxItems} ${label}${maxItems === 1 ? '' : 's'}, got ${value.length}`);
+  }
+
+  value.forEach((entry, index) => item(entry, `${path}[${index}]`, errors));
+
+  if (!unique) return;
+
+  const keyOf = typeof unique === 'function' ? unique : (entry) => entry;
+  const firstSeen = new Map();
+  value.forEach((entry, index) => {
+    const key = keyOf(entry);
+    if (key === undefined) return;
+    if (firstSeen.has(key)) {
+      errors.push(`${path}[${index}]: duplicate ${label} "${key}" (already used at ${path}[${firstSeen.get(key)}])`);
+      return;
+    }
+    firstSeen.set(key, index);
+  });
+};
+
+export const object = (shape) => (value, path, errors) => {
+  if (!isPlainObject(value)) {
+    errors.push(`${path}: expected an object, got ${describe(value)}`);
+    return;
+  }
+
+  Object.entries(shape).forEach(([key, validator]) => {
+    if (value[key] === undefined) {
+      if (!validator.optional) errors.push(`${path}.${key}: is required`);
+      return;
+    }
+    validator(value[key], `${path}.${key}`, errors);
+  });
+
+  Object.keys(value)
+    .filter((key) => !(key in shape))
+    .forEach((key) => errors.push(`${path}.${key}: unknown field`));
+};
+
+export const validate = (validator, value, label) => {
+  const errors = [];
+  validator(value, label, errors);
+  return errors;
+};
@@ -0,0 +1,323 @@
+import { AVAILABILITY_STATES, WEEKDAYS } from '../../src/availability/status.js';
+import { monthIndex, parseDateRange } from '../../src/experience/dates.js';
+import { array, boolean, number, object, oneOf, optional, string } from './schema.js';
+
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const HTTP_URL = /^https?:\/\/\S+$/;
+const ISO_DATE = /^\d{4}-(?:0[1-9]|1[0-2])-(?:0[1-9]|[12]\d|3[01])$/;
+const TIME = /^(?:[01]\d|2[0-3]):[0-5]\d$/;
+const IMAGE_PATH = /^\/\S+\.(?:svg|png|jpe?g|webp|avif|gif)$/;
+
+const caseInsensitive = (value) => (typeof value === 'string' ? value.toLowerCase() : undefined);
+
+export const slug = () => string({ pattern: SLUG, hint: 'a lowercase-kebab-case id' });
+export const url = () => string({ pattern: HTTP_URL, hint: 'an http(s) URL' });
+// Parsed by src/experience/dates.js, so the timeline can place every range.
+export const dateRange = () => (value, path, errors) => {
+  const count = errors.length;
+  string()(value, path, errors);
+  if (errors.length > count) return;
+
+  const parsed = parseDateRange(value);
+  if (!parsed) {
+    errors.push(`${path}: "${value}" is not a date range like "2022 - Present" or "Summer 21-23"`);
+  } else if (parsed.end && monthIndex(parsed.end) < monthIndex(parsed.start)) {
+    errors.push(`${path}: "${value}" ends before it starts`);
+  }
+};
+export const isoDate = () => string({ pattern: ISO_DATE, hint: 'a date like "2025-03-14"' });
+export const imagePath = () => string({ pattern: IMAGE_PATH, hint: 'a root-relative image path' });
+export const tagList = (label = 'tag') => array(string(), { minItems: 1, unique: caseInsensitive, label });
+
+const timeOfDay = () => string({ pattern: TIME, hint: 'a 24-hour time like "09:30"' });
+
+const timeZone = () => (value, path, errors) => {
+  string()(value, path, errors);
+  if (typeof value !== 'string') return;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+  } catch {
+    errors.push(`${path}: "${value}" is not an IANA time zone like "America/Phoenix"`);
+  }
+};
+
+// A weekly window such as Tuesdays and Thursdays from 09:00 to 11:00.
+const meetingWindow = () => {
+  const shape = object({
+    days: array(oneOf(WEEKDAYS), { minItems: 1, unique: true, label: 'day' }),
+    start: timeOfDay(),
+    end: timeOfDay()
+  });
+  return (value, path, errors) => {
+    const count = errors.length;
+    shape(value, path, errors);
+    if (errors.length === count && value.start >= value.end) {
+      errors.push(`${path}: ends at ${value.end}, which is not after its start (${value.start})`);
+    }
+  };
+};
+
+// Translated tags and skills keep the order and count of the originals, so a
+// skill filter can match them across languages by position.
+const translatedTagList = (original, label = 'tag') => array(string(), {
+  minItems: original.length,
+  maxItems: original.length,
+  unique: caseInsensitive,
+  label
+});
+
+export const siteSchema = object({
+  name: string(),
+  url: string({ pattern: /^https?:\/\/[^/\s]+$/, hint: 'an origin without a trailing slash, like "https://example.com"' }),
+  firstName: string(),
+  lastName: string(),
+  title: string(),
+  tagline: string(),
+  availability: object({
+    state: oneOf(AVAILABILITY_STATES),
+    until: optional(isoDate()),
+    // Offered in the "Schedule a chat" picker; leave out to hide it.
+    meetings: optional(object({
+      timeZone: timeZone(),
+      durationMinutes: number({ integer: true, min: 5, max: 240 }),
+      noticeHours: number({ min: 0 }),
+      daysAhead: number({ integer: true, min: 1, max: 90 }),
+      windows: array(meetingWindow(), { minItems: 1, label: 'window' })
+    }))
+  }),
+  email: string({ pattern: EMAIL, hint: 'an email address' }),
+  location: string(),
+  education: object({
+    institution: string(),
+    graduationYear: number({ integer: true, min: 1900, max: 2100 })
+  }),
+  links: object({
+    github: url(),
+    linkedin: url()
+  })
+});
+
+export const experiencesSchema = array(
+  object({
+    id: slug(),
+    company: string(),
+    role: string(),
+    date: dateRange(),
+    description: string(),
+    details: array(string(), { minItems: 1, label: 'detail' }),
+    tags: tagList()
+  }),
+  { minItems: 1, unique: (entry) => entry?.id, label: 'id' }
+);
+
+export const skillCategoriesSchema = array(
+  object({
+    id: slug(),
+    title: string(),
+    skills: tagList('skill')
+  }),
+  { minItems: 1, unique: (entry) => entry?.id, label: 'category id' }
+);
+
+export const projectsSchema = array(
+  object({
+    slug: slug(),
+    title: string(),
+    summary: string(),
+    experienceId: optional(slug()),
+    problem: string(),
+    approach: array(string(), { minItems: 1, label: 'step' }),
+    stack: tagList(),
+    outcomes: array(
+      object({ label: string(), value: string() }),
+      { minItems: 1, unique: (entry) => caseInsensitive(entry?.label), label: 'outcome' }
+    ),
+    images: optional(array(
+      object({
+        src: imagePath(),
+        alt: string(),
+        caption: optional(string())
+      }),
+      { label: 'image' }
+    ))
+  }),
+  { unique: (entry) => entry?.slug, label: 'slug' }
+);
+
+// Groups of skills and tags that a skill filter treats as the same thing,
+// written with the default-locale labels.
+export const skillSynonymsSchema = array(
+  array(string(), { minItems: 2, unique: caseInsensitive, label: 'synonym' }),
+  { label: 'group' }
+);
+
+// Quotes from people the site owner has worked with, each tied to the
+// experience it speaks to. `title` is the person's job title at
+// `organization`; `avatar` is optional.
+export const testimonialsSchema = array(
+  object({
+    id: slug(),
+    quote: string(),
+    name: string(),
+    title: string(),
+    organization: string(),
+    experienceId: slug(),
+    avatar: optional(imagePath())
+  }),
+  { unique: (entry) => entry?.id, label: 'id' }
+);
+
+// Skills job descriptions commonly ask for, each as the label to show followed
+// by other ways of writing it. Job match recognises these on top of the
+// portfolio's own skills and tags, so requirements the portfolio lacks can be
+// reported as missing; a group naming a portfolio skill adds spellings to it.
+export const jobSkillsSchema = array(
+  array(string(), { minItems: 1, unique: caseInsensitive, label: 'spelling' }),
+  { unique: (group) => (Array.isArray(group) ? caseInsensitive(group[0]) : undefined), label: 'skill' }
+);
+
+// Front matter of a note (`notes/<slug>.md`). Drafts are rendered by the dev
+// server only.
+export const noteSchema = object({
+  title: string(),
+  date: isoDate(),
+  updated: optional(isoDate()),
+  summary: string(),
+  tags: tagList(),
+  draft: optional(boolean())
+});
+
+const image = () => object({ alt: string(), caption: optional(string()) });
+
+const keyedBy = (entries, key, entrySchema) => object(
+  Object.fromEntries(entries.map((entry) => [entry[key], entrySchema(entry)]))
+);
+
+/**
+ * Schema for a locale file (`locales/<code>.json`). It is derived from the
+ * default-locale content so every translatable field of every entry must be
+ * present, and translations for ids that no longer exist are reported.
+ */
+export const localeSchema = (content) => object({
+  site: object({
+    title: string(),
+    tagline: string(),
+    location: string()
+  }),
+  experiences: keyedBy(content.experiences, 'id', (experience) => object({
+    role: string(),
+    description: string(),
+    details: array(string(), { minItems: 1, label: 'detail' }),
+    tags: translatedTagList(experience.tags)
+  })),
+  skillCategories: keyedBy(content.skillCategories, 'id', (category) => object({
+    title: string(),
+    skills: translatedTagList(category.skills, 'skill')
+  })),
+  testimonials: keyedBy(content.testimonials, 'id', () => object({
+    quote: string(),
+    title: string()
+  })),
+  projects: keyedBy(content.projects, 'slug', (project) => object({
+    title: string(),
+    summary: string(),
+    problem: string(),
+    approach: array(string(), { minItems: 1, label: 'step' }),
+    outcomes: array(
+      object({ label: string(), value: string() }),
+      { minItems: 1, unique: (entry) => caseInsensitive(entry?.label), label: 'outcome' }
+    ),
+    ...(project.images && {
+      images: array(image(), {
+        minItems: project.images.length,
+        maxItems: project.images.length,
+        label: 'image'
+      })
+    })
+  }))
+});
+
+/** Applies a validated locale file on top of the default-locale content. */
+export const localizeContent = (content, translations) => {
+  const merge = (entries, key, overrides) => entries.map((entry) => ({
+    ...entry,
+    ...overrides[entry[key]]
+  }));
+
+  return {
+    ...content,
+    site: { ...content.site, ...translations.site },
+    experiences: merge(content.experiences, 'id', translations.experiences),
+    skillCategories: merge(content.skillCategories, 'id', translations.skillCategories),
+    testimonials: merge(content.testimonials, 'id', translations.testimonials),
+    projects: content.projects.map((project) => {
+      const { images, ...overrides } = translations.projects[project.slug];
+      return {
+        ...project,
+        ...overrides,
+        ...(project.images && {
+          images: project.images.map((entry, index) => ({ ...entry, ...images[index] }))
+        })
+      };
+    })
+  };
+};
+
+/**
+ * Checks that span files, e.g. projects pointing at an experience id. Returns
+ * `{ name, problems }` pairs keyed by the export whose file should be fixed.
+ */
+export const checkReferences = (content) => {
+  const experienceIds = new Set(content.experiences.map((experience) => experience.id));
+  const experienceProblems = (name) => content[name]
+    .map((entry, index) => (
+      entry.experienceId && !experienceIds.has(entry.experienceId)
+        ? `${name}[${index}].experienceId: "${entry.experienceId}" does not match any experience id`
+        : null
+    ))
+    .filter(Boolean);
+
+  const knownSkills = new Set([
+    ...content.experiences.flatMap((experience) => experience.tags),
+    ...content.skillCategories.flatMap((category) => category.skills)
+  ].map(caseInsensitive));
+  const synonymProblems = content.skillSynonyms.flatMap((group, groupIndex) => group
+    .map((label, index) => (
+      knownSkills.has(caseInsensitive(label))
+        ? null
+        : `skillSynonyms[${groupIndex}][${index}]: "${label}" is not a skill or experience tag`
+    ))
+    .filter(Boolean));
+
+  return [
+    { name: 'projects', problems: experienceProblems('projects') },
+    { name: 'testimonials', problems: experienceProblems('testimonials') },
+    { name: 'skillSynonyms', problems: synonymProblems }
+  ];
+};
+
+/**
+ * Note tags share the skill vocabulary: each must be a skill from
+ * skills.json, or a synonym grouped with one. Returns problem messages
+ * prefixed with `label`.
+ */
+export const checkNoteTags = (tags, content, label) => {
+  const skills = content.skillCategories.flatMap((category) => category.skills);
+  const skillKeys = new Set(skills.map(caseInsensitive));
+  const vocabulary = new Set([
+    ...skillKeys,
+    ...content.skillSynonyms
+      .filter((group) => group.some((entry) => skillKeys.has(caseInsensitive(entry))))
+      .flat()
+      .map(caseInsensitive)
+  ]);
+
+  return tags
+    .map((tag, index) => (
+      vocabulary.has(caseInsensitive(tag))
+        ? null
+        : `${label}.tags[${index}]: "${tag}" is not a skill from skills.json (or a synonym of one)`
+    ))
+    .filter(Boolean);
+};
@@ -0,0 +1,150 @@
+import path from 'node:path';
+import { createTranslator } from '../src/i18n/translate.js';
+import { NOTE_FEEDS, NOTES_PATH, notePath } from '../src/notes/feeds.js';
+import { contentFiles, loadContent, loadNotes } from './content/index.js';
+
+// Feeds are published in the default locale, like the notes themselves.
+const t = createTranslator('en');
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const toTimestamp = (date) => `${date}T00:00:00Z`;
+
+// Feed readers have no page to resolve root-relative links against.
+const absolutizeLinks = (html, origin) => html.replace(/(href|src)="\/(?!\/)/g, `$1="${origin}/`);
+
+const feedContext = ({ site }, notes) => ({
+  title: t('notes.feedTitle', { name: site.name }),
+  description: t('notes.summary'),
+  home: `${site.url}${NOTES_PATH}`,
+  updated: notes.map((note) => note.updated ?? note.date).sort().at(-1) ?? '1970-01-01',
+  entries: notes.map((note) => ({
+    ...note,
+    url: `${site.url}${notePath(note.slug)}`,
+    html: absolutizeLinks(note.html, site.url)
+  }))
+});
+
+export const renderRss = (content, notes) => {
+  const { site } = content;
+  const feed = feedContext(content, notes);
+  const items = feed.entries.map((note) => `
+    <item>
+      <title>${escapeXml(note.title)}</title>
+      <link>${escapeXml(note.url)}</link>
+      <guid isPermaLink="true">${escapeXml(note.url)}</guid>
+      <pubDate>${new Date(toTimestamp(note.date)).toUTCString()}</pubDate>
+      <description>${escapeXml(note.summary)}</description>
+      <content:encoded><![CDATA[${note.html.replaceAll(']]>', ']]]]><![CDATA[>')}]]></content:encoded>
+${note.tags.map((tag) => `      <category>${escapeXml(tag)}</category>`).join('\n')}
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.home)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en-us</language>
+    <lastBuildDate>${new Date(toTimestamp(feed.updated)).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(`${site.url}/rss.xml`)}" rel="self" type="application/rss+xml" />${items}
+  </channel>
+</rss>
+`;
+};
+
+export const renderAtom = (content, notes) => {
+  const { site } = content;
+  const feed = feedContext(content, notes);
+  const entries = feed.entries.map((note) => `
+  <entry>
+    <title>${escapeXml(note.title)}</title>
+    <link href="${escapeXml(note.url)}" />
+    <id>${escapeXml(note.url)}</id>
+    <published>${toTimestamp(note.date)}</published>
+    <updated>${toTimestamp(note.updated ?? note.date)}</updated>
+    <summary>${escapeXml(note.summary)}</summary>
+    <content type="html">${escapeXml(note.html)}</content>
+${note.tags.map((tag) => `    <category term="${escapeXml(tag)}" />`).join('\n')}
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${escapeXml(feed.home)}" />
+  <link rel="self" type="application/atom+xml" href="${escapeXml(`${site.url}/atom.xml`)}" />
+  <id>${escapeXml(feed.home)}</id>
+  <updated>${toTimestamp(feed.updated)}</updated>
+  <author>
+    <name>${escapeXml(site.name)}</name>
+    <uri>${escapeXml(site.url)}</uri>
+  </author>${entries}
+</feed>
+`;
+};
+
+const RENDERERS = {
+  rss: renderRss,
+  atom: renderAtom
+};
+
+/**
+ * Generates the RSS and Atom feeds listed in NOTE_FEEDS from the published
+ * notes. Like the resume files, they are emitted into the build output and
+ * served on the same paths by the dev server (drafts excluded in both).
+ */
+export default function feedsPlugin({ dir = 'src/content' } = {}) {
+  let root = process.cwd();
+  let contentDir = path.resolve(root, dir);
+
+  const render = (feed) => {
+    const content = loadContent(contentDir, root);
+    return RENDERERS[feed.id](content, loadNotes(contentDir, content, { root }));
+  };
+
+  return {
+    name: 'note-feeds',
+
+    configResolved(config) {
+      root = config.root;
+      contentDir = path.resolve(root, dir);
+    },
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const pathname = req.url?.split('?')[0];
+        const feed = NOTE_FEEDS.find((entry) => entry.path === pathname);
+        if (!feed) return next();
+
+        try {
+          res.setHeader('Content-Type', `${feed.mimeType}; charset=utf-8`);
+          res.end(render(feed));
+        } catch (error) {
+          next(error);
+        }
+        return undefined;
+      });
+    },
+
+    generateBundle() {
+      if (this.environment?.config.consumer === 'server') return;
+
+      contentFiles(contentDir).forEach((file) => this.addWatchFile(file));
+
+      NOTE_FEEDS.forEach((feed) => {
+        let source;
+        try {
+          source = render(feed);
+        } catch (error) {
+          this.error(error.message);
+        }
+        this.emitFile({ type: 'asset', fileName: feed.path.slice(1), source });
+      });
+    }
+  };
+}
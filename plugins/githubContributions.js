@@ -0,0 +1,135 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { CONTRIBUTIONS_SNAPSHOT_PATH as SNAPSHOT_PATH } from '../src/github/contributions.js';
+import { loadContent } from './content/index.js';
+
+const GRAPHQL_ENDPOINT = 'https://api.github.com/graphql';
+const FETCH_TIMEOUT_MS = 10000;
+const LEVELS = {
+  NONE: 0,
+  FIRST_QUARTILE: 1,
+  SECOND_QUARTILE: 2,
+  THIRD_QUARTILE: 3,
+  FOURTH_QUARTILE: 4
+};
+
+const QUERY = `
+  query ($login: String!) {
+    user(login: $login) {
+      contributionsCollection {
+        contributionCalendar {
+          totalContributions
+          weeks {
+            contributionDays { date contributionCount contributionLevel }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const fetchFromGitHub = async (user, token) => {
+  const response = await fetch(GRAPHQL_ENDPOINT, {
+    method: 'POST',
+    headers: {
+      Authorization: `bearer ${token}`,
+      'Content-Type': 'application/json',
+      'User-Agent': 'portfolio-build'
+    },
+    body: JSON.stringify({ query: QUERY, variables: { login: user } }),
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`GitHub responded with ${response.status}`);
+  }
+
+  const { data, errors } = await response.json();
+  if (errors?.length) {
+    throw new Error(errors.map((error) => error.message).join('; '));
+  }
+
+  const calendar = data.user.contributionsCollection.contributionCalendar;
+  return {
+    user,
+    source: 'github',
+    generatedAt: new Date().toISOString(),
+    totalContributions: calendar.totalContributions,
+    days: calendar.weeks.flatMap((week) => week.contributionDays.map((day) => ({
+      date: day.date,
+      count: day.contributionCount,
+      level: LEVELS[day.contributionLevel] ?? 0
+    })))
+  };
+};
+
+const readFixture = async (fixturePath) => JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+
+/**
+ * Writes a snapshot of the GitHub contribution calendar to SNAPSHOT_PATH.
+ * With `GITHUB_TOKEN` set the calendar is fetched from the GraphQL API;
+ * otherwise, or when the request fails, the committed fixture is used so
+ * offline builds still work. `GITHUB_SNAPSHOT=fixture` forces the fixture.
+ */
+export default function githubContributionsPlugin({
+  dir = 'src/content',
+  fixture = 'src/content/fixtures/github-contributions.json'
+} = {}) {
+  let root = process.cwd();
+  let logger = console;
+  let snapshotPromise;
+
+  const loadSnapshot = async () => {
+    const fixturePath = path.resolve(root, fixture);
+    const token = process.env.GITHUB_TOKEN;
+    if (!token || process.env.GITHUB_SNAPSHOT === 'fixture') {
+      return readFixture(fixturePath);
+    }
+
+    const { site } = loadContent(path.resolve(root, dir), root);
+    const user = site.links.github.replace(/\/+$/, '').split('/').pop();
+    try {
+      return await fetchFromGitHub(user, token);
+    } catch (error) {
+      logger.warn(`[github-contributions] using fixture, fetch failed: ${error.message}`);
+      return readFixture(fixturePath);
+    }
+  };
+
+  const getSnapshot = () => {
+    snapshotPromise ??= loadSnapshot();
+    return snapshotPromise;
+  };
+
+  return {
+    name: 'github-contributions',
+
+    configResolved(config) {
+      root = config.root;
+      logger = config.logger;
+    },
+
+    configureServer(server) {
+      server.middlewares.use(SNAPSHOT_PATH, async (req, res, next) => {
+        try {
+          const snapshot = await getSnapshot();
+          res.setHeader('Content-Type', 'application/json; charset=utf-8');
+          res.end(JSON.stringify(snapshot));
+        } catch (error) {
+          next(error);
+        }
+      });
+    },
+
+    async generateBundle() {
+      if (this.environment?.config.consumer === 'server') return;
+
+      const snapshot = await getSnapshot();
+      this.emitFile({
+        type: 'asset',
+        fileName: SNAPSHOT_PATH.slice(1),
+        source: JSON.stringify(snapshot)
+      });
+    }
+  };
+}
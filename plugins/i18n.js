@@ -0,0 +1,137 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { DEFAULT_LOCALE, LOCALE_CODES } from '../src/i18n/locales.js';
+
+const PLURAL_FORMS = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+// A message is either a string or an object of plural forms; anything else is
+// a group of nested keys.
+const isPluralMessage = (value) => (
+  typeof value === 'object' && value !== null && 'other' in value
+  && Object.keys(value).every((form) => PLURAL_FORMS.includes(form))
+);
+
+const flatten = (node, prefix = '', messages = new Map()) => {
+  Object.entries(node).forEach(([key, value]) => {
+    const id = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === 'string' || isPluralMessage(value)) {
+      messages.set(id, value);
+    } else if (typeof value === 'object' && value !== null) {
+      flatten(value, id, messages);
+    } else {
+      messages.set(id, value);
+    }
+  });
+  return messages;
+};
+
+const placeholders = (message) => {
+  const texts = typeof message === 'string' ? [message] : Object.values(message ?? {});
+  return new Set(texts.flatMap((text) => [...String(text).matchAll(/\{(\w+)\}/g)].map((match) => match[1])));
+};
+
+const sameSet = (a, b) => a.size === b.size && [...a].every((entry) => b.has(entry));
+
+// Static keys used in source, e.g. `t('nav.work')` or `t.parts('contact.title', ...)`.
+// Keys built at runtime (template literals) can't be checked this way.
+const USAGE = /\bt(?:\.parts)?\(\s*'([\w.-]+)'/g;
+
+const sourceFiles = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+  const filePath = path.join(dir, entry.name);
+  if (entry.isDirectory()) return sourceFiles(filePath);
+  return /\.jsx?$/.test(entry.name) ? [filePath] : [];
+});
+
+/**
+ * Compares every catalog against the default-locale one and checks the keys
+ * used in source. Returns readable problems; an empty list means the
+ * catalogs are complete.
+ */
+export const checkCatalogs = (catalogDir, sourceDir, root = process.cwd()) => {
+  const problems = [];
+  const catalogs = {};
+
+  LOCALE_CODES.forEach((code) => {
+    const filePath = path.join(catalogDir, `${code}.json`);
+    const displayPath = path.relative(root, filePath);
+    try {
+      catalogs[code] = flatten(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (error) {
+      problems.push(`${displayPath}: could not be read (${error.message})`);
+    }
+  });
+
+  const reference = catalogs[DEFAULT_LOCALE];
+  if (!reference) return problems;
+
+  Object.entries(catalogs).forEach(([code, messages]) => {
+    reference.forEach((message, key) => {
+      if (!messages.has(key)) {
+        problems.push(`${code}: missing "${key}"`);
+        return;
+      }
+      const translated = messages.get(key);
+      if (typeof translated !== 'string' && !isPluralMessage(translated)) {
+        problems.push(`${code}: "${key}" must be a string or plural forms`);
+      } else if (!sameSet(placeholders(message), placeholders(translated))) {
+        problems.push(`${code}: "${key}" uses {${[...placeholders(translated)].join('}, {')}} instead of {${[...placeholders(message)].join('}, {')}}`);
+      }
+    });
+    messages.forEach((_, key) => {
+      if (!reference.has(key)) problems.push(`${code}: unknown key "${key}" (not in ${DEFAULT_LOCALE})`);
+    });
+  });
+
+  sourceFiles(sourceDir).forEach((filePath) => {
+    const source = fs.readFileSync(filePath, 'utf8');
+    for (const [, key] of source.matchAll(USAGE)) {
+      if (!reference.has(key)) {
+        problems.push(`${path.relative(root, filePath)}: uses "${key}", which is not in the ${DEFAULT_LOCALE} catalog`);
+      }
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * Fails the build when a message catalog is missing a key, has keys the
+ * default catalog doesn't, disagrees on placeholders, or when source uses a
+ * key no catalog defines. The dev server reports the same problems as warnings.
+ */
+export default function i18nPlugin({ catalogs = 'src/i18n/messages', source = 'src' } = {}) {
+  let root = process.cwd();
+  let catalogDir = path.resolve(root, catalogs);
+  let sourceDir = path.resolve(root, source);
+  let command = 'build';
+
+  const report = () => checkCatalogs(catalogDir, sourceDir, root);
+  const format = (problems) => `Incomplete i18n catalogs:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`;
+
+  return {
+    name: 'i18n-catalogs',
+
+    configResolved(config) {
+      root = config.root;
+      catalogDir = path.resolve(root, catalogs);
+      sourceDir = path.resolve(root, source);
+      command = config.command;
+    },
+
+    buildStart() {
+      if (this.environment?.config.consumer === 'server') return;
+
+      const problems = report();
+      if (problems.length === 0) return;
+      if (command === 'build') this.error(format(problems));
+      this.warn(format(problems));
+    },
+
+    handleHotUpdate({ file, server }) {
+      if (!file.startsWith(catalogDir)) return;
+
+      const problems = report();
+      if (problems.length > 0) server.config.logger.warn(format(problems));
+    }
+  };
+}
@@ -0,0 +1,168 @@
+import { Resvg } from '@resvg/resvg-js';
+import { OG_IMAGE_SIZE } from '../../src/seo/ogImages.js';
+
+const { width: WIDTH, height: HEIGHT } = OG_IMAGE_SIZE;
+const PADDING = 80;
+const TEXT_WIDTH = WIDTH - PADDING * 2;
+const SANS = 'Inter';
+const MONO = 'JetBrains Mono';
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Reads the custom properties of the first `:root` block (the default dark
+ * palette) so the cards use the same colors as the site. `var()` references
+ * to other properties in the block are resolved.
+ */
+export const readThemeColors = (css) => {
+  const block = css.match(/:root\s*\{([^}]*)\}/)?.[1] ?? '';
+  const properties = Object.fromEntries(
+    [...block.matchAll(/--([\w-]+):\s*([^;]+);/g)].map(([, name, value]) => [name, value.trim()])
+  );
+  const resolve = (value) => value.replace(/var\(--([\w-]+)\)/g, (_, name) => resolve(properties[name] ?? ''));
+  return Object.fromEntries(Object.entries(properties).map(([name, value]) => [name, resolve(value)]));
+};
+
+const textElement = ({ x, y, size, weight = 400, family = SANS, fill, anchor, spacing }, content) => [
+  `<text x="${x}" y="${y}" font-family="${family}" font-size="${size}" font-weight="${weight}" fill="${fill}"`,
+  anchor ? ` text-anchor="${anchor}"` : '',
+  spacing ? ` letter-spacing="${spacing}"` : '',
+  `>${content}</text>`
+].join('');
+
+/**
+ * Creates a renderer for 1200×630 PNG cards drawn with the given font files
+ * (TrueType/OpenType) and theme colors. Card fields:
+ *
+ * - `badge`: `{ label, state }` status pill above the title (the site card);
+ *   the dot takes the `--availability-<state>` color.
+ * - `eyebrow`: mono section label above the title (page cards).
+ * - `title`: wrapped over up to three lines; `titleAccent` is drawn after it
+ *   in the accent color on the same line, like the hero heading.
+ * - `description`: wrapped into the remaining space.
+ * - `byline`, `domain`: footer and header text.
+ */
+export const createCardRenderer = ({ fontFiles, colors }) => {
+  const font = { loadSystemFonts: false, fontFiles, defaultFontFamily: SANS };
+  const widths = new Map();
+
+  const measure = (text, size, weight) => {
+    const key = `${weight}:${size}:${text}`;
+    if (!widths.has(key)) {
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH * 2}" height="${size * 2}">${
+        textElement({ x: 0, y: size, size, weight, fill: '#000' }, escapeXml(text))
+      }</svg>`;
+      widths.set(key, new Resvg(svg, { font }).getBBox()?.width ?? 0);
+    }
+    return widths.get(key);
+  };
+
+  // Greedy word wrap; the last allowed line is cut short with an ellipsis.
+  const wrap = (text, { size, weight, maxLines }) => {
+    const lines = [];
+    let words = text.split(/\s+/).filter(Boolean);
+
+    while (words.length > 0 && lines.length < maxLines) {
+      let count = 1;
+      while (count < words.length && measure(words.slice(0, count + 1).join(' '), size, weight) <= TEXT_WIDTH) {
+        count += 1;
+      }
+      let line = words.slice(0, count).join(' ');
+      words = words.slice(count);
+
+      if (words.length > 0 && lines.length === maxLines - 1) {
+        while (line.includes(' ') && measure(`${line}…`, size, weight) > TEXT_WIDTH) {
+          line = line.slice(0, line.lastIndexOf(' '));
+        }
+        line = `${line.replace(/[\s,.;:–—-]+$/, '')}…`;
+      }
+      lines.push(line);
+    }
+    return lines;
+  };
+
+  const renderBadge = ({ label, state }, y) => {
+    const size = 24;
+    const width = measure(label, size, 500) + 76;
+    return [
+      `<rect x="${PADDING}" y="${y}" width="${width}" height="52" rx="26" fill="${colors['accent-dim']}" stroke="${colors['accent-border']}" stroke-width="2" />`,
+      `<circle cx="${PADDING + 30}" cy="${y + 26}" r="7" fill="${colors[`availability-${state}`]}" />`,
+      textElement({ x: PADDING + 50, y: y + 34, size, weight: 500, fill: colors.accent }, escapeXml(label))
+    ].join('\n  ');
+  };
+
+  const renderBody = (card) => {
+    const parts = [];
+    let y = 200;
+
+    if (card.badge) {
+      parts.push(renderBadge(card.badge, y));
+      y += 52;
+    }
+    if (card.eyebrow) {
+      y += 30;
+      parts.push(textElement({ x: PADDING, y, size: 26, weight: 500, family: MONO, fill: colors.accent, spacing: 1 }, escapeXml(card.eyebrow)));
+    }
+
+    const titleSize = card.titleAccent ? 112 : 64;
+    const titleLines = wrap(card.title, { size: titleSize, weight: 700, maxLines: card.titleAccent ? 1 : 3 });
+    y += titleSize * (card.titleAccent ? 1.3 : 1.4);
+    titleLines.forEach((line, index) => {
+      const accent = card.titleAccent && index === titleLines.length - 1
+        ? `<tspan fill="${colors.accent}">${escapeXml(card.titleAccent)}</tspan>`
+        : '';
+      parts.push(textElement({ x: PADDING, y, size: titleSize, weight: 700, fill: colors.text, spacing: -1.5 }, `${escapeXml(line)}${accent ? ' ' : ''}${accent}`));
+      y += titleSize * 1.15;
+    });
+
+    if (card.description) {
+      const size = card.titleAccent ? 40 : 30;
+      const lineHeight = size * 1.4;
+      y += size * 0.4;
+      const room = Math.floor((HEIGHT - 100 - y) / lineHeight) + 1;
+      wrap(card.description, { size, weight: 400, maxLines: Math.max(room, 1) }).forEach((line) => {
+        parts.push(textElement({ x: PADDING, y, size, fill: colors['text-secondary'] }, escapeXml(line)));
+        y += lineHeight;
+      });
+    }
+
+    return parts.join('\n  ');
+  };
+
+  return (card) => {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+  <defs>
+    <radialGradient id="glow-red" cx="1" cy="0" r="0.75">
+      <stop offset="0" stop-color="${colors['az-red']}" stop-opacity="0.45" />
+      <stop offset="1" stop-color="${colors['az-red']}" stop-opacity="0" />
+    </radialGradient>
+    <radialGradient id="glow-navy" cx="0" cy="1" r="0.8">
+      <stop offset="0" stop-color="${colors['az-navy']}" stop-opacity="0.9" />
+      <stop offset="1" stop-color="${colors['az-navy']}" stop-opacity="0" />
+    </radialGradient>
+    <pattern id="grid" width="60" height="60" patternUnits="userSpaceOnUse">
+      <path d="M60 0H0V60" fill="none" stroke="${colors['grid-line']}" stroke-width="1" />
+    </pattern>
+    <linearGradient id="accent-line" x1="0" x2="1">
+      <stop offset="0" stop-color="${colors['az-red']}" stop-opacity="0.95" />
+      <stop offset="1" stop-color="${colors['az-red']}" stop-opacity="0.25" />
+    </linearGradient>
+  </defs>
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="${colors.bg}" />
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="url(#grid)" />
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="url(#glow-navy)" />
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="url(#glow-red)" />
+  ${textElement({ x: PADDING, y: 118, size: 40, weight: 700, fill: colors.text, spacing: -1 }, `JC<tspan fill="${colors.accent}">.</tspan>`)}
+  ${textElement({ x: WIDTH - PADDING, y: 114, size: 24, weight: 500, family: MONO, fill: colors['text-muted'], anchor: 'end' }, escapeXml(card.domain))}
+  ${renderBody(card)}
+  ${card.byline ? textElement({ x: PADDING, y: HEIGHT - 52, size: 24, weight: 500, fill: colors['text-muted'] }, escapeXml(card.byline)) : ''}
+  <rect y="${HEIGHT - 10}" width="${WIDTH}" height="10" fill="url(#accent-line)" />
+</svg>`;
+
+    return new Resvg(svg, { font, fitTo: { mode: 'original' } }).render().asPng();
+  };
+};
@@ -0,0 +1,161 @@
+import fs from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { availabilityLabel, isoDate } from '../../src/availability/status.js';
+import { DEFAULT_LOCALE, LOCALE_CODES, LOCALES } from '../../src/i18n/locales.js';
+import { createTranslator } from '../../src/i18n/translate.js';
+import { noteCardPath, projectCardPath, siteCardPath } from '../../src/seo/ogImages.js';
+import { contentFiles, loadLocalizedContent, loadNotes } from '../content/index.js';
+import { createCardRenderer, readThemeColors } from './card.js';
+import { woffToSfnt } from './woff.js';
+
+const require = createRequire(import.meta.url);
+
+// The site's own fonts, from the @fontsource packages.
+const FONTS = [
+  '@fontsource/inter/files/inter-latin-400-normal.woff',
+  '@fontsource/inter/files/inter-latin-500-normal.woff',
+  '@fontsource/inter/files/inter-latin-700-normal.woff',
+  '@fontsource/jetbrains-mono/files/jetbrains-mono-latin-500-normal.woff'
+];
+
+// Unpacked once into Vite's cache directory, where the renderer can read them.
+const prepareFonts = (cacheDir) => {
+  const fontDir = path.join(cacheDir, 'og-fonts');
+  fs.mkdirSync(fontDir, { recursive: true });
+  return FONTS.map((font) => {
+    const target = path.join(fontDir, `${path.basename(font, '.woff')}.ttf`);
+    if (!fs.existsSync(target)) fs.writeFileSync(target, woffToSfnt(fs.readFileSync(require.resolve(font))));
+    return target;
+  });
+};
+
+// Calendar dates in the same style as the pages (see src/i18n/createI18n.js).
+const dateFormatter = (locale) => {
+  const format = new Intl.DateTimeFormat(LOCALES[locale].intl, { dateStyle: 'long', timeZone: 'UTC' });
+  return (isoDate) => format.format(new Date(`${isoDate}T00:00:00Z`));
+};
+
+/**
+ * Every card with its output path: the site card and one per project in each
+ * locale, plus one per note in the default locale.
+ */
+export const listCards = (localized, notes) => {
+  const { site } = localized[DEFAULT_LOCALE];
+  const domain = new URL(site.url).host;
+
+  const perLocale = LOCALE_CODES.flatMap((locale) => {
+    const t = createTranslator(locale);
+    const { site: localSite, projects } = localized[locale];
+    const byline = `${localSite.name} · ${localSite.title}`;
+
+    return [
+      {
+        path: siteCardPath(locale),
+        badge: {
+          label: availabilityLabel(localSite.availability, t, dateFormatter(locale), isoDate(new Date())),
+          state: localSite.availability.state
+        },
+        title: localSite.firstName,
+        titleAccent: localSite.lastName,
+        description: localSite.title,
+        domain
+      },
+      ...projects.map((project) => ({
+        path: projectCardPath(project.slug, locale),
+        eyebrow: t('projects.caseStudyLabel'),
+        title: project.title,
+        description: project.summary,
+        byline,
+        domain
+      }))
+    ];
+  });
+
+  const t = createTranslator(DEFAULT_LOCALE);
+  const formatDate = dateFormatter(DEFAULT_LOCALE);
+  const noteCards = notes.map((note) => ({
+    path: noteCardPath(note.slug),
+    eyebrow: t('notes.label'),
+    title: note.title,
+    description: note.summary,
+    byline: `${site.name} · ${formatDate(note.date)}`,
+    domain
+  }));
+
+  return [...perLocale, ...noteCards];
+};
+
+/**
+ * Renders the Open Graph cards listed by listCards() from the site content,
+ * with the fonts and palette the site itself uses (colors are read from
+ * `css`). Like the resume files, they are emitted into the build output and
+ * rendered on request by the dev server; src/seo/head.js points each page at
+ * its card.
+ */
+export default function ogImagesPlugin({ dir = 'src/content', css = 'src/index.css' } = {}) {
+  let root = process.cwd();
+  let contentDir = path.resolve(root, dir);
+  let cacheDir;
+  let includeDrafts = false;
+  let renderer;
+
+  const getRenderer = () => {
+    renderer ??= createCardRenderer({
+      fontFiles: prepareFonts(cacheDir),
+      colors: readThemeColors(fs.readFileSync(path.resolve(root, css), 'utf8'))
+    });
+    return renderer;
+  };
+
+  const loadCards = () => {
+    const localized = loadLocalizedContent(contentDir, root);
+    return listCards(localized, loadNotes(contentDir, localized[DEFAULT_LOCALE], { root, includeDrafts }));
+  };
+
+  return {
+    name: 'og-images',
+
+    configResolved(config) {
+      root = config.root;
+      contentDir = path.resolve(root, dir);
+      cacheDir = config.cacheDir;
+      includeDrafts = config.command === 'serve';
+    },
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const pathname = req.url?.split('?')[0];
+        if (!pathname?.endsWith('.png')) return next();
+
+        try {
+          const card = loadCards().find((entry) => entry.path === pathname);
+          if (!card) return next();
+          res.setHeader('Content-Type', 'image/png');
+          res.end(getRenderer()(card));
+        } catch (error) {
+          next(error);
+        }
+        return undefined;
+      });
+    },
+
+    generateBundle() {
+      if (this.environment?.config.consumer === 'server') return;
+
+      contentFiles(contentDir).forEach((file) => this.addWatchFile(file));
+      this.addWatchFile(path.resolve(root, css));
+
+      let cards;
+      try {
+        cards = loadCards();
+      } catch (error) {
+        this.error(error.message);
+      }
+
+      cards.forEach((card) => {
+        this.emitFile({ type: 'asset', fileName: card.path.slice(1), source: getRenderer()(card) });
+      });
+    }
+  };
+}
@@ -0,0 +1,64 @@
+import zlib from 'node:zlib';
+
+const WOFF_SIGNATURE = 0x774f4646; // "wOFF"
+const WOFF_HEADER_SIZE = 44;
+const WOFF_ENTRY_SIZE = 20;
+const SFNT_HEADER_SIZE = 12;
+const SFNT_ENTRY_SIZE = 16;
+
+const align4 = (value) => (value + 3) & ~3;
+
+/**
+ * Unpacks a WOFF 1.0 font into the TrueType/OpenType file it wraps. The
+ * renderer only reads plain font files, while the web font packages ship WOFF.
+ * Each table is stored zlib-compressed unless compressing didn't shrink it.
+ */
+export const woffToSfnt = (woff) => {
+  if (woff.readUInt32BE(0) !== WOFF_SIGNATURE) {
+    throw new Error('Not a WOFF 1.0 font');
+  }
+
+  const flavor = woff.readUInt32BE(4);
+  const numTables = woff.readUInt16BE(12);
+  const tables = Array.from({ length: numTables }, (_, index) => {
+    const entry = WOFF_HEADER_SIZE + index * WOFF_ENTRY_SIZE;
+    const offset = woff.readUInt32BE(entry + 4);
+    const compLength = woff.readUInt32BE(entry + 8);
+    const origLength = woff.readUInt32BE(entry + 12);
+    const stored = woff.subarray(offset, offset + compLength);
+    return {
+      tag: woff.readUInt32BE(entry),
+      checksum: woff.readUInt32BE(entry + 16),
+      data: compLength < origLength ? zlib.inflateSync(stored) : stored
+    };
+  });
+
+  // The offset table's binary search fields, per the OpenType spec.
+  const entrySelector = Math.floor(Math.log2(numTables));
+  const searchRange = 2 ** entrySelector * 16;
+
+  let offset = SFNT_HEADER_SIZE + numTables * SFNT_ENTRY_SIZE;
+  const placed = tables.map((table) => {
+    const entry = { ...table, offset };
+    offset += align4(table.data.length);
+    return entry;
+  });
+
+  const sfnt = Buffer.alloc(offset);
+  sfnt.writeUInt32BE(flavor, 0);
+  sfnt.writeUInt16BE(numTables, 4);
+  sfnt.writeUInt16BE(searchRange, 6);
+  sfnt.writeUInt16BE(entrySelector, 8);
+  sfnt.writeUInt16BE(numTables * 16 - searchRange, 10);
+
+  placed.forEach((table, index) => {
+    const entry = SFNT_HEADER_SIZE + index * SFNT_ENTRY_SIZE;
+    sfnt.writeUInt32BE(table.tag, entry);
+    sfnt.writeUInt32BE(table.checksum, entry + 4);
+    sfnt.writeUInt32BE(table.offset, entry + 8);
+    sfnt.writeUInt32BE(table.data.length, entry + 12);
+    table.data.copy(sfnt, table.offset);
+  });
+
+  return sfnt;
+};
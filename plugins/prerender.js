@@ -0,0 +1,75 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { build } from 'vite';
+
+const SERVER_DIR = '.prerender';
+
+// Sets the page language, drops the static fallback <title> and every
+// `data-head` tag from the template before the route's own head is inserted.
+const applyPage = (template, { html, head, lang }) => template
+  .replace(/<html lang="[^"]*">/, `<html lang="${lang}">`)
+  .replace(/<title>[\s\S]*?<\/title>\s*/, '')
+  .replace(/<(meta|link|script)\b[^>]*\sdata-head\b[^>]*>(?:[\s\S]*?<\/\1>)?\s*/g, '')
+  .replace('</head>', `  ${head}\n  </head>`)
+  .replace('<div id="root"></div>', `<div id="root">${html}</div>`);
+
+/**
+ * After the client build, bundles `entry` for SSR, renders every page it
+ * reports through `getPrerenderPages()` and writes the HTML into the output
+ * directory next to the client assets, along with the files from
+ * `getSiteFiles()` (sitemap, robots.txt).
+ */
+export default function prerenderPlugin({ entry = 'src/entry-server.jsx' } = {}) {
+  let config;
+
+  return {
+    name: 'prerender',
+    apply: (_, { command, isSsrBuild }) => command === 'build' && !isSsrBuild,
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    async closeBundle() {
+      const outDir = path.resolve(config.root, config.build.outDir);
+      const serverDir = path.join(outDir, SERVER_DIR);
+
+      await build({
+        configFile: config.configFile,
+        root: config.root,
+        mode: config.mode,
+        logLevel: 'warn',
+        build: {
+          ssr: entry,
+          outDir: serverDir,
+          emptyOutDir: true,
+          copyPublicDir: false,
+          rollupOptions: { output: { entryFileNames: 'entry-server.js' } }
+        }
+      });
+
+      try {
+        const { getPrerenderPages, getSiteFiles, render } = await import(
+          pathToFileURL(path.join(serverDir, 'entry-server.js')).href
+        );
+        const template = await fs.readFile(path.join(outDir, 'index.html'), 'utf8');
+        const pages = getPrerenderPages();
+
+        for (const page of pages) {
+          const filePath = path.join(outDir, page.file);
+          await fs.mkdir(path.dirname(filePath), { recursive: true });
+          await fs.writeFile(filePath, applyPage(template, render(page.url)));
+        }
+
+        for (const { file, source } of getSiteFiles()) {
+          await fs.writeFile(path.join(outDir, file), source);
+        }
+
+        config.logger.info(`prerendered ${pages.length} pages`);
+      } finally {
+        await fs.rm(serverDir, { recursive: true, force: true });
+      }
+    }
+  };
+}
@@ -0,0 +1,169 @@
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { Resvg } from '@resvg/resvg-js';
+import {
+  APPLE_TOUCH_ICON,
+  MANIFEST_PATH,
+  PWA_ICONS,
+  REVALIDATE_PATHS,
+  SERVICE_WORKER_PATH
+} from '../src/pwa/config.js';
+import { serviceWorker } from '../src/pwa/worker.js';
+import { OG_IMAGE_DIR } from '../src/seo/ogImages.js';
+import { THEMES } from '../src/theme/themes.js';
+import { contentFiles, loadContent } from './content/index.js';
+
+const NOT_FOUND_PAGE = '/404.html';
+
+// Crawler files and social cards have no use offline.
+const PRECACHE_IGNORE = new Set([SERVICE_WORKER_PATH, '/robots.txt', '/sitemap.xml']);
+const isPrecached = (url) => !PRECACHE_IGNORE.has(url) && !url.startsWith(`${OG_IMAGE_DIR}/`);
+
+// The favicon's "JC" drawn as strokes rather than text, so the rasterized
+// icons don't depend on the fonts installed on the build machine.
+const renderIconSvg = ({ padded = false } = {}) => `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64">
+  <rect width="64" height="64" rx="${padded ? 0 : 14}" fill="#0C234B" />
+  <g fill="none" stroke-width="5.5" stroke-linecap="round"${padded ? ' transform="translate(32 32) scale(0.75) translate(-32 -32)"' : ''}>
+    <path d="M24 20V35a6 6 0 0 1-12 0" stroke="#FFFFFF" />
+    <path d="M50.5 24.5A10.5 10.5 0 1 0 50.5 39.5" stroke="#AB0520" />
+  </g>
+</svg>`;
+
+const renderIcon = ({ size, padded }) => new Resvg(renderIconSvg({ padded }), {
+  fitTo: { mode: 'width', value: size }
+}).render().asPng();
+
+const renderManifest = ({ site }) => JSON.stringify({
+  id: '/',
+  name: `${site.name} | ${site.title}`,
+  short_name: site.name,
+  description: site.tagline,
+  lang: 'en',
+  dir: 'ltr',
+  start_url: '/',
+  scope: '/',
+  display: 'standalone',
+  background_color: THEMES.dark.themeColor,
+  theme_color: THEMES.dark.themeColor,
+  icons: PWA_ICONS.map(({ path: src, size, purpose }) => ({
+    src,
+    sizes: `${size}x${size}`,
+    type: 'image/png',
+    purpose
+  }))
+}, null, 2);
+
+// Output file → URL it is requested by. Pages use clean URLs without a
+// trailing slash (see vercel.json).
+const toUrl = (file) => {
+  const url = `/${file.split(path.sep).join('/')}`;
+  if (url === '/index.html') return '/';
+  return url.endsWith('/index.html') ? url.slice(0, -'/index.html'.length) : url;
+};
+
+const listOutputFiles = async (outDir) => {
+  const entries = await fs.readdir(outDir, { recursive: true, withFileTypes: true });
+  return entries
+    .filter((entry) => entry.isFile())
+    .map((entry) => path.relative(outDir, path.join(entry.parentPath, entry.name)))
+    .sort();
+};
+
+/**
+ * Makes the site installable and usable offline. The manifest and icons are
+ * emitted with the client bundle and served on the same paths in dev. Once the
+ * pages are prerendered, the service worker from src/pwa/worker.js is written
+ * with every output file to precache and a version hashed from their contents,
+ * so any change in a deploy installs a new worker.
+ */
+export default function pwaPlugin({ dir = 'src/content' } = {}) {
+  let config;
+  let contentDir;
+
+  const assets = () => [
+    { path: MANIFEST_PATH, mimeType: 'application/manifest+json', render: () => renderManifest(loadContent(contentDir, config.root)) },
+    ...[...PWA_ICONS, APPLE_TOUCH_ICON].map((icon) => ({ path: icon.path, mimeType: 'image/png', render: () => renderIcon(icon) }))
+  ];
+
+  return {
+    name: 'pwa',
+    apply: (_, { isSsrBuild }) => !isSsrBuild,
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+      contentDir = path.resolve(config.root, dir);
+    },
+
+    transformIndexHtml() {
+      return [
+        { tag: 'link', attrs: { rel: 'manifest', href: MANIFEST_PATH }, injectTo: 'head' },
+        { tag: 'link', attrs: { rel: 'apple-touch-icon', href: APPLE_TOUCH_ICON.path }, injectTo: 'head' }
+      ];
+    },
+
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const pathname = req.url?.split('?')[0];
+        const asset = assets().find((entry) => entry.path === pathname);
+        if (!asset) return next();
+
+        try {
+          res.setHeader('Content-Type', asset.mimeType);
+          res.end(asset.render());
+        } catch (error) {
+          next(error);
+        }
+        return undefined;
+      });
+    },
+
+    generateBundle() {
+      if (this.environment?.config.consumer === 'server') return;
+
+      contentFiles(contentDir).forEach((file) => this.addWatchFile(file));
+
+      assets().forEach((asset) => {
+        let source;
+        try {
+          source = asset.render();
+        } catch (error) {
+          this.error(error.message);
+        }
+        this.emitFile({ type: 'asset', fileName: asset.path.slice(1), source });
+      });
+    },
+
+    // Runs after the prerender plugin has written the pages.
+    closeBundle: {
+      order: 'post',
+      sequential: true,
+      async handler() {
+        if (config.command !== 'build') return;
+
+        const outDir = path.resolve(config.root, config.build.outDir);
+        const hash = createHash('sha256');
+        const precache = [];
+
+        for (const file of await listOutputFiles(outDir)) {
+          const url = toUrl(file);
+          if (!isPrecached(url)) continue;
+          hash.update(url).update(await fs.readFile(path.join(outDir, file)));
+          precache.push(url);
+        }
+
+        const options = {
+          version: hash.digest('hex').slice(0, 12),
+          precache,
+          revalidate: REVALIDATE_PATHS,
+          notFound: NOT_FOUND_PAGE
+        };
+        await fs.writeFile(
+          path.join(outDir, SERVICE_WORKER_PATH.slice(1)),
+          `(${serviceWorker.toString()})(${JSON.stringify(options)});\n`
+        );
+        config.logger.info(`service worker precaches ${precache.length} files (version ${options.version})`);
+      }
+    }
+  };
+}
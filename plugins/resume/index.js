@@ -0,0 +1,70 @@
+import path from 'node:path';
+import { RESUME_FORMATS } from '../../src/resume/formats.js';
+import { contentFiles, loadContent } from '../content/index.js';
+import { renderJsonResume } from './jsonResume.js';
+import { renderPdf } from './pdf.js';
+import { renderMarkdown, renderText } from './plainText.js';
+
+const RENDERERS = {
+  pdf: renderPdf,
+  json: renderJsonResume,
+  markdown: renderMarkdown,
+  text: renderText
+};
+
+/**
+ * Generates every resume format listed in RESUME_FORMATS from the validated
+ * site content. Files are emitted into the build output and served on the same
+ * paths by the dev server.
+ */
+export default function resumePlugin({ dir = 'src/content' } = {}) {
+  let root = process.cwd();
+  let contentDir = path.resolve(root, dir);
+
+  return {
+    name: 'resume',
+
+    configResolved(config) {
+      root = config.root;
+      contentDir = path.resolve(root, dir);
+    },
+
+    configureServer(server) {
+      server.middlewares.use(async (req, res, next) => {
+        const pathname = req.url?.split('?')[0];
+        const format = RESUME_FORMATS.find((entry) => entry.path === pathname);
+        if (!format) return next();
+
+        try {
+          const source = await RENDERERS[format.id](loadContent(contentDir, root));
+          res.setHeader('Content-Type', format.mimeType);
+          res.end(source);
+        } catch (error) {
+          next(error);
+        }
+        return undefined;
+      });
+    },
+
+    async generateBundle() {
+      if (this.environment?.config.consumer === 'server') return;
+
+      contentFiles(contentDir).forEach((file) => this.addWatchFile(file));
+
+      let content;
+      try {
+        content = loadContent(contentDir, root);
+      } catch (error) {
+        this.error(error.message);
+      }
+
+      for (const format of RESUME_FORMATS) {
+        this.emitFile({
+          type: 'asset',
+          fileName: format.path.slice(1),
+          source: await RENDERERS[format.id](content)
+        });
+      }
+    }
+  };
+}
@@ -0,0 +1,44 @@
+import { profiles, splitLocation, toIsoDateRange } from './shared.js';
+
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+/** Builds a resume document following the JSON Resume v1 schema. */
+export const buildJsonResume = ({ site, experiences, skillCategories, projects }) => ({
+  $schema: SCHEMA_URL,
+  basics: {
+    name: site.name,
+    label: site.title,
+    email: site.email,
+    url: site.url,
+    summary: site.tagline,
+    location: splitLocation(site.location),
+    profiles: profiles(site.links)
+  },
+  work: experiences.map((experience) => ({
+    name: experience.company,
+    position: experience.role,
+    ...toIsoDateRange(experience.date),
+    summary: experience.description,
+    highlights: experience.details
+  })),
+  education: [{
+    institution: site.education.institution,
+    endDate: String(site.education.graduationYear)
+  }],
+  skills: skillCategories.map((category) => ({
+    name: category.title,
+    keywords: category.skills
+  })),
+  projects: projects.map((project) => ({
+    name: project.title,
+    description: project.summary,
+    highlights: project.approach,
+    keywords: project.stack,
+    url: `${site.url}/projects/${project.slug}`
+  })),
+  meta: {
+    canonical: `${site.url}/resume.json`
+  }
+});
+
+export const renderJsonResume = (content) => `${JSON.stringify(buildJsonResume(content), null, 2)}\n`;
@@ -0,0 +1,114 @@
+import PDFDocument from 'pdfkit';
+import { contactLine, educationLine } from './shared.js';
+
+const COLORS = {
+  accent: '#AB0520',
+  navy: '#0C234B',
+  text: '#1f2937',
+  muted: '#4b5563',
+  rule: '#d1d5db'
+};
+const DATE_COLUMN_WIDTH = 120;
+
+const createLayout = (doc) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  const heading = (title) => {
+    doc.moveDown(0.7);
+    doc.font('Helvetica-Bold').fontSize(10.5).fillColor(COLORS.accent)
+      .text(title.toUpperCase(), left, doc.y, { characterSpacing: 1.2 });
+    const ruleY = doc.y + 2;
+    doc.moveTo(left, ruleY).lineTo(left + width, ruleY).lineWidth(0.75).strokeColor(COLORS.rule).stroke();
+    doc.y = ruleY + 6;
+  };
+
+  // Bold title on the left with a muted date right-aligned on the same line.
+  const entryTitle = (title, aside) => {
+    const top = doc.y;
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.navy)
+      .text(title, left, top, { width: width - DATE_COLUMN_WIDTH });
+    const titleBottom = doc.y;
+    if (aside) {
+      doc.font('Helvetica').fontSize(9.5).fillColor(COLORS.muted)
+        .text(aside, left + width - DATE_COLUMN_WIDTH, top + 1.5, { width: DATE_COLUMN_WIDTH, align: 'right' });
+    }
+    doc.x = left;
+    doc.y = Math.max(titleBottom, doc.y) + 2;
+  };
+
+  const paragraph = (text, { color = COLORS.text, size = 9.5 } = {}) => {
+    doc.font('Helvetica').fontSize(size).fillColor(color).text(text, left, doc.y, { width, lineGap: 1.5 });
+  };
+
+  const bullets = (items) => {
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(9.5).fillColor(COLORS.text).list(items, left + 4, doc.y, {
+      width: width - 4,
+      bulletRadius: 1.4,
+      textIndent: 10,
+      lineGap: 1.5,
+      paragraphGap: 2
+    });
+    doc.x = left;
+  };
+
+  return { heading, entryTitle, paragraph, bullets };
+};
+
+/** Renders a one-column, print-ready Letter PDF and resolves with its bytes. */
+export const renderPdf = ({ site, experiences, skillCategories, projects }) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margins: { top: 44, bottom: 44, left: 56, right: 56 },
+    info: {
+      Title: `${site.name} - Resume`,
+      Author: site.name,
+      Subject: site.title,
+      Keywords: skillCategories.flatMap((category) => category.skills).join(', ')
+    }
+  });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { heading, entryTitle, paragraph, bullets } = createLayout(doc);
+
+  doc.font('Helvetica-Bold').fontSize(24).fillColor(COLORS.navy).text(site.name);
+  doc.font('Helvetica').fontSize(12).fillColor(COLORS.accent).text(site.title);
+  doc.moveDown(0.3);
+  paragraph(contactLine(site).join('  |  '), { color: COLORS.muted, size: 9 });
+
+  heading('Summary');
+  paragraph(site.tagline);
+
+  heading('Experience');
+  experiences.forEach((experience, index) => {
+    if (index > 0) doc.moveDown(0.7);
+    entryTitle(`${experience.role}, ${experience.company}`, experience.date);
+    paragraph(experience.description, { color: COLORS.muted });
+    bullets(experience.details);
+  });
+
+  heading('Projects');
+  projects.forEach((project, index) => {
+    if (index > 0) doc.moveDown(0.6);
+    entryTitle(project.title);
+    paragraph(project.summary);
+    paragraph(`Stack: ${project.stack.join(', ')}`, { color: COLORS.muted, size: 9 });
+  });
+
+  heading('Skills');
+  skillCategories.forEach((category) => {
+    doc.font('Helvetica-Bold').fontSize(9.5).fillColor(COLORS.text)
+      .text(`${category.title}: `, { continued: true })
+      .font('Helvetica')
+      .text(category.skills.join(', '));
+  });
+
+  heading('Education');
+  paragraph(educationLine(site.education));
+
+  doc.end();
+});
@@ -0,0 +1,77 @@
+import { contactLine, educationLine } from './shared.js';
+
+// Markdown and plain text share one outline so both stay ATS-friendly: a
+// single column, standard section names and no tables or icons.
+
+export const renderMarkdown = ({ site, experiences, skillCategories, projects }) => [
+  `# ${site.name}`,
+  '',
+  `**${site.title}**`,
+  '',
+  contactLine(site).join(' | '),
+  '',
+  '## Summary',
+  '',
+  site.tagline,
+  '',
+  '## Experience',
+  ...experiences.flatMap((experience) => [
+    '',
+    `### ${experience.role}, ${experience.company}`,
+    '',
+    `*${experience.date}*`,
+    '',
+    experience.description,
+    '',
+    ...experience.details.map((detail) => `- ${detail}`)
+  ]),
+  '',
+  '## Projects',
+  ...projects.flatMap((project) => [
+    '',
+    `### ${project.title}`,
+    '',
+    project.summary,
+    '',
+    `Stack: ${project.stack.join(', ')}`
+  ]),
+  '',
+  '## Skills',
+  '',
+  ...skillCategories.map((category) => `- **${category.title}:** ${category.skills.join(', ')}`),
+  '',
+  '## Education',
+  '',
+  educationLine(site.education),
+  ''
+].join('\n');
+
+const heading = (title) => ['', title.toUpperCase(), '-'.repeat(title.length)];
+
+export const renderText = ({ site, experiences, skillCategories, projects }) => [
+  site.name,
+  site.title,
+  contactLine(site).join(' | '),
+  ...heading('Summary'),
+  site.tagline,
+  ...heading('Experience'),
+  ...experiences.flatMap((experience, index) => [
+    ...(index > 0 ? [''] : []),
+    `${experience.role}, ${experience.company}`,
+    experience.date,
+    experience.description,
+    ...experience.details.map((detail) => `- ${detail}`)
+  ]),
+  ...heading('Projects'),
+  ...projects.flatMap((project, index) => [
+    ...(index > 0 ? [''] : []),
+    project.title,
+    project.summary,
+    `Stack: ${project.stack.join(', ')}`
+  ]),
+  ...heading('Skills'),
+  ...skillCategories.map((category) => `${category.title}: ${category.skills.join(', ')}`),
+  ...heading('Education'),
+  educationLine(site.education),
+  ''
+].join('\n');
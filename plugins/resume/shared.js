@@ -0,0 +1,40 @@
+import { parseDateRange } from '../../src/experience/dates.js';
+
+// Helpers shared by the resume renderers.
+
+const PROFILE_NETWORKS = { github: 'GitHub', linkedin: 'LinkedIn' };
+
+/**
+ * Converts a display range such as "2022 - Present" or "Summer 21-23" into
+ * JSON Resume's ISO 8601 `startDate`/`endDate` pair. Ongoing roles have no
+ * `endDate`.
+ */
+export const toIsoDateRange = (date) => {
+  const parsed = parseDateRange(date);
+  if (!parsed) return {};
+
+  // Ranges without a season are only known to the year.
+  const format = ({ year, month }) => (parsed.season ? `${year}-${String(month).padStart(2, '0')}` : String(year));
+  if (!parsed.end) return { startDate: format(parsed.start) };
+  return { startDate: format(parsed.start), endDate: format(parsed.end) };
+};
+
+export const splitLocation = (location) => {
+  const [city, region] = location.split(',').map((part) => part.trim());
+  return { city, region };
+};
+
+export const profiles = (links) => Object.entries(links).map(([key, url]) => ({
+  network: PROFILE_NETWORKS[key] ?? key,
+  username: url.replace(/\/+$/, '').split('/').pop(),
+  url
+}));
+
+export const contactLine = (site) => [
+  site.location,
+  site.email,
+  site.url.replace(/^https?:\/\//, ''),
+  ...Object.values(site.links).map((url) => url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/+$/, ''))
+];
+
+export const educationLine = (education) => `${education.institution}, Class of ${education.graduationYear}`;
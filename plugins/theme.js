@@ -0,0 +1,23 @@
+import { applyMotion, MOTION_STORAGE_KEY } from '../src/motion/motion.js';
+import { applyTheme, THEME_COLORS, THEME_STORAGE_KEY } from '../src/theme/themes.js';
+
+/**
+ * Inlines the theme and motion boot scripts into <head> so the saved or
+ * system theme and motion setting are on <html> before the first paint, with
+ * no flash of the defaults.
+ */
+export default function themePlugin() {
+  return {
+    name: 'theme-boot-script',
+    transformIndexHtml() {
+      return [{
+        tag: 'script',
+        injectTo: 'head',
+        children: [
+          `(${applyTheme.toString()})(${JSON.stringify(THEME_STORAGE_KEY)}, ${JSON.stringify(THEME_COLORS)});`,
+          `(${applyMotion.toString()})(${JSON.stringify(MOTION_STORAGE_KEY)});`
+        ].join('\n')
+      }];
+    }
+  };
+}
@@ -0,0 +1,33 @@
+// The analytics event vocabulary, shared by the browser tracker and the
+// `api/events` function. Events carry a type and a short label only: no
+// visitor ids, no URLs beyond a hostname, nothing that identifies a person.
+
+export const ANALYTICS_EVENTS = {
+  sectionView: 'section_view',
+  accordionOpen: 'accordion_open',
+  eggFound: 'egg_found',
+  emailCopy: 'email_copy',
+  outboundClick: 'outbound_click'
+};
+
+export const ANALYTICS_EVENT_TYPES = Object.values(ANALYTICS_EVENTS);
+
+export const MAX_BATCH_SIZE = 50;
+export const MAX_LABEL_LENGTH = 80;
+
+const LABEL_PATTERN = /^[\w.:-]+$/;
+
+/**
+ * Keeps the well-formed `{ type, label }` entries of a posted batch and drops
+ * the rest, so a bad entry never costs the good ones.
+ */
+export const normalizeEvents = (body) => {
+  const events = Array.isArray(body?.events) ? body.events.slice(0, MAX_BATCH_SIZE) : [];
+
+  return events.flatMap((event) => {
+    if (!event || !ANALYTICS_EVENT_TYPES.includes(event.type)) return [];
+    const label = typeof event.label === 'string' ? event.label.trim() : '';
+    if (!label || label.length > MAX_LABEL_LENGTH || !LABEL_PATTERN.test(label)) return [];
+    return [{ type: event.type, label }];
+  });
+};
@@ -0,0 +1,85 @@
+import { ANALYTICS_EVENTS, MAX_BATCH_SIZE } from './events.js';
+
+// First-party, cookieless event tracking. Events are queued in memory and
+// sent in batches to `api/events` with sendBeacon, which survives the page
+// being hidden or unloaded. Nothing is stored in the browser.
+
+const ENDPOINT = '/api/events';
+const FLUSH_DELAY_MS = 5000;
+
+let queue = [];
+let flushTimer = null;
+let isListening = false;
+const viewedSections = new Set();
+
+/** False when the visitor asks not to be tracked (Do Not Track or GPC). */
+export const isTrackingAllowed = () => {
+  if (typeof navigator === 'undefined') return false;
+  if (navigator.globalPrivacyControl === true) return false;
+  return ![navigator.doNotTrack, window.doNotTrack].includes('1');
+};
+
+export const flushEvents = () => {
+  window.clearTimeout(flushTimer);
+  flushTimer = null;
+  if (queue.length === 0) return;
+
+  const body = JSON.stringify({ events: queue });
+  queue = [];
+  if (navigator.sendBeacon?.(ENDPOINT, new Blob([body], { type: 'application/json' }))) return;
+
+  fetch(ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body,
+    keepalive: true
+  }).catch(() => {
+    // Analytics are best effort; a lost batch is not worth surfacing.
+  });
+};
+
+const listenForPageHide = () => {
+  if (isListening) return;
+  isListening = true;
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushEvents();
+  });
+  window.addEventListener('pagehide', flushEvents);
+};
+
+export const track = (type, label) => {
+  if (!isTrackingAllowed()) return;
+
+  listenForPageHide();
+  queue.push({ type, label: String(label) });
+  if (queue.length >= MAX_BATCH_SIZE) {
+    flushEvents();
+    return;
+  }
+  flushTimer ??= window.setTimeout(flushEvents, FLUSH_DELAY_MS);
+};
+
+/** Counts a section once per visit, however often it scrolls back into view. */
+export const trackSectionView = (section) => {
+  if (viewedSections.has(section)) return;
+  viewedSections.add(section);
+  track(ANALYTICS_EVENTS.sectionView, section);
+};
+
+/**
+ * Records clicks on links that leave the site, by hostname. Returns a cleanup
+ * function for use in an effect.
+ */
+export const trackOutboundLinks = () => {
+  const onClick = (event) => {
+    const link = event.target instanceof Element ? event.target.closest('a[href]') : null;
+    if (!link) return;
+
+    const url = new URL(link.href, window.location.href);
+    if (!url.protocol.startsWith('http') || url.origin === window.location.origin) return;
+    track(ANALYTICS_EVENTS.outboundClick, url.hostname);
+  };
+
+  document.addEventListener('click', onClick, true);
+  return () => document.removeEventListener('click', onClick, true);
+};
@@ -0,0 +1,58 @@
+// A minimal iCalendar (RFC 5545) writer for the "Schedule a chat" invite. The
+// file is built in the browser, so no calendar service sees the booking.
+
+const encoder = new TextEncoder();
+
+// "2026-03-14T17:30:00.000Z" -> "20260314T173000Z"
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// vCards (src/contact/vcard.js) share iCalendar's content-line syntax, so they
+// use the same escaping and folding.
+export const escapeText = (value) => value
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines are folded at 75 bytes; continuation lines start with a space.
+export const foldLine = (line) => {
+  const chunks = [];
+  let chunk = '';
+  [...line].forEach((character) => {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (encoder.encode(chunk + character).length > limit) {
+      chunks.push(chunk);
+      chunk = '';
+    }
+    chunk += character;
+  });
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+};
+
+/**
+ * An .ics file with one event from `start` to `end` (Dates). `organizer` is
+ * `{ name, email }`; `uid` must be unique for the event, across calendars.
+ */
+export const createInvite = ({ uid, start, end, summary, description, url, organizer, now = new Date() }) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  `PRODID:-//${new URL(url).host}//Schedule a chat//EN`,
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  `DTSTAMP:${formatUtc(now)}`,
+  `DTSTART:${formatUtc(start)}`,
+  `DTEND:${formatUtc(end)}`,
+  `SUMMARY:${escapeText(summary)}`,
+  `DESCRIPTION:${escapeText(description)}`,
+  `URL:${url}`,
+  `ORGANIZER;CN="${organizer.name.replace(/"/g, '')}":mailto:${organizer.email}`,
+  'END:VEVENT',
+  'END:VCALENDAR',
+  ''
+].map(foldLine).join('\r\n');
+
+/** A UID for a chat starting at `start`, stable so re-downloading it updates the same event. */
+export const inviteUid = (start, host) => `chat-${formatUtc(start)}@${host}`;
@@ -0,0 +1,85 @@
+import { WEEKDAYS } from './status.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const partsFormats = new Map();
+
+// Calendar fields of `instant` as seen in `timeZone`.
+const zonedParts = (instant, timeZone) => {
+  if (!partsFormats.has(timeZone)) {
+    partsFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+  return Object.fromEntries(partsFormats.get(timeZone)
+    .formatToParts(instant)
+    .filter((part) => part.type !== 'literal')
+    .map((part) => [part.type, Number(part.value)]));
+};
+
+// How far `timeZone` is ahead of UTC at `instant`, in ms.
+const zoneOffset = (instant, timeZone) => {
+  const { year, month, day, hour, minute } = zonedParts(instant, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute) - Math.floor(instant / MINUTE_MS) * MINUTE_MS;
+};
+
+// The instant a wall-clock time in `timeZone` happens. The second pass settles
+// days where the offset changes (daylight saving).
+const zonedTimeToUtc = (wallTime, timeZone) => {
+  const first = wallTime - zoneOffset(wallTime, timeZone);
+  return wallTime - zoneOffset(first, timeZone);
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * The bookable meeting slots from `now` on: each weekly window in
+ * `meetings.windows` ("tue" 10:00–12:00 in `meetings.timeZone`) cut into
+ * `durationMinutes` slots for the next `daysAhead` days, leaving out anything
+ * sooner than `noticeHours`. Returns `{ start, end }` Date pairs in order.
+ */
+export const meetingSlots = ({ timeZone, durationMinutes, noticeHours, daysAhead, windows }, now) => {
+  const earliest = now + noticeHours * HOUR_MS;
+  const today = zonedParts(now, timeZone);
+  const slots = [];
+
+  for (let offset = 0; offset < daysAhead; offset += 1) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const weekday = WEEKDAYS[date.getUTCDay()];
+
+    windows
+      .filter((range) => range.days.includes(weekday))
+      .forEach((range) => {
+        const end = toMinutes(range.end);
+        for (let minutes = toMinutes(range.start); minutes + durationMinutes <= end; minutes += durationMinutes) {
+          const start = zonedTimeToUtc(date.getTime() + minutes * MINUTE_MS, timeZone);
+          if (start >= earliest) {
+            slots.push({ start: new Date(start), end: new Date(start + durationMinutes * MINUTE_MS) });
+          }
+        }
+      });
+  }
+
+  return slots.sort((a, b) => a.start - b.start);
+};
+
+/** Groups slots by the day they fall on in the visitor's time zone, labelled with `formatDay`. */
+export const groupSlotsByDay = (slots, formatDay) => {
+  const days = new Map();
+  slots.forEach((slot) => {
+    const label = formatDay(slot.start);
+    if (!days.has(label)) days.set(label, []);
+    days.get(label).push(slot);
+  });
+  return [...days].map(([label, daySlots]) => ({ label, slots: daySlots }));
+};
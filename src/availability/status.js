@@ -0,0 +1,27 @@
+// Availability states for the hero badge, set in site.json under
+// `availability.state`. Labels live in the i18n catalogs under
+// `availability.states.<state>` (and `availability.until.<state>` while an
+// `until` date is set and not yet past); the color and pulse are styled per
+// state in index.css.
+export const AVAILABILITY_STATES = ['available', 'freelance', 'not-looking'];
+
+// Weekday codes used by the meeting windows, indexed like Date#getDay().
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/** The local date of `now` as an ISO date, the format `until` is written in. */
+export const isoDate = (now) => [
+  now.getFullYear(),
+  String(now.getMonth() + 1).padStart(2, '0'),
+  String(now.getDate()).padStart(2, '0')
+].join('-');
+
+/**
+ * The badge text for `availability`, e.g. "Open to freelance until March 1,
+ * 2026". Once `today` (an ISO date) is past `until` the plain state label is
+ * used instead; without `today` the date is shown as set.
+ */
+export const availabilityLabel = ({ state, until }, t, formatDate, today = null) => (
+  until && !(today && today > until)
+    ? t(`availability.until.${state}`, { date: formatDate(until) })
+    : t(`availability.states.${state}`)
+);
@@ -0,0 +1,54 @@
+// Blob choreography for the liquid background, kept free of rendering so the
+// WebGL shader and the component driving it share one definition. Positions
+// are in CSS pixels.
+
+// `x`/`y` are fractions of the viewport, `radius` a fraction of its shorter
+// side, `depth` how strongly the blob follows scrolling, `color` an index into
+// the palette (0 = red, 1 = navy).
+const BLOBS = [
+  { x: 0.12, y: 0.18, radius: 0.32, orbit: 0.08, speed: 0.00011, depth: 0.35, color: 1 },
+  { x: 0.86, y: 0.78, radius: 0.36, orbit: 0.07, speed: 0.00009, depth: 0.2, color: 0 },
+  { x: 0.55, y: 0.45, radius: 0.24, orbit: 0.1, speed: 0.00013, depth: 0.5, color: 1 },
+  { x: 0.22, y: 0.82, radius: 0.2, orbit: 0.09, speed: 0.00015, depth: 0.65, color: 0 },
+  { x: 0.78, y: 0.2, radius: 0.18, orbit: 0.11, speed: 0.00012, depth: 0.45, color: 0 }
+];
+
+// One extra blob trails the pointer; it rests off to the side until the
+// visitor moves.
+const POINTER_BLOB = { radius: 0.16, color: 0 };
+
+export const BLOB_COUNT = BLOBS.length + 1;
+
+/**
+ * Where every blob is at `time` (ms). `pointer` is { x, y } in fractions of
+ * the viewport (or null) and `scroll` the page's scroll progress, 0 to 1.
+ */
+export const layoutBlobs = (time, { pointer, scroll }, width, height) => {
+  const unit = Math.min(width, height);
+
+  const drifting = BLOBS.map((blob, index) => {
+    const angle = time * blob.speed * Math.PI * 2 + index * 1.7;
+    const drift = blob.orbit * unit;
+    return {
+      x: blob.x * width + Math.cos(angle) * drift,
+      y: blob.y * height + Math.sin(angle * 1.3) * drift - scroll * blob.depth * height * 0.6,
+      radius: blob.radius * unit,
+      color: blob.color
+    };
+  });
+
+  const follower = {
+    x: (pointer?.x ?? 0.92) * width,
+    y: (pointer?.y ?? 0.5) * height,
+    radius: POINTER_BLOB.radius * unit,
+    color: POINTER_BLOB.color
+  };
+
+  return [...drifting, follower];
+};
+
+/** Eases `current` towards `target` by `amount` (0 to 1) of the gap. */
+export const approach = (current, target, amount) => ({
+  x: current.x + (target.x - current.x) * amount,
+  y: current.y + (target.y - current.y) * amount
+});
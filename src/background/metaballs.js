@@ -0,0 +1,139 @@
+import { BLOB_COUNT } from './blobs.js';
+
+// WebGL renderer for the liquid background: one full-screen triangle whose
+// fragment shader sums a metaball field over the blobs and tints each pixel by
+// the blobs that contribute to it.
+
+const VERTEX_SHADER = `
+attribute vec2 a_position;
+void main() {
+  gl_Position = vec4(a_position, 0.0, 1.0);
+}
+`;
+
+const FRAGMENT_SHADER = `
+precision mediump float;
+uniform vec2 u_resolution;
+uniform float u_scale;
+uniform float u_unit;
+uniform vec4 u_blobs[${BLOB_COUNT}];
+uniform vec3 u_colors[2];
+uniform float u_opacity;
+
+void main() {
+  // Work in units of the viewport's shorter side: squared pixel distances
+  // overflow mediump floats on some mobile GPUs.
+  vec2 point = vec2(gl_FragCoord.x, u_resolution.y - gl_FragCoord.y) / (u_scale * u_unit);
+  float field = 0.0;
+  vec3 tint = vec3(0.0);
+
+  for (int index = 0; index < ${BLOB_COUNT}; index++) {
+    vec4 blob = u_blobs[index];
+    vec2 offset = point - blob.xy;
+    float strength = (blob.z * blob.z) / (dot(offset, offset) + 0.0001);
+    field += strength;
+    tint += (blob.w < 0.5 ? u_colors[0] : u_colors[1]) * strength;
+  }
+
+  vec3 color = tint / max(field, 0.0001);
+  float body = smoothstep(0.8, 1.3, field);
+  float glow = clamp(field * 0.35, 0.0, 0.45);
+  float alpha = max(body, glow) * u_opacity;
+  gl_FragColor = vec4(color * alpha, alpha);
+}
+`;
+
+const compile = (gl, type, source) => {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (gl.getShaderParameter(shader, gl.COMPILE_STATUS)) return shader;
+  gl.deleteShader(shader);
+  return null;
+};
+
+const createProgram = (gl) => {
+  const vertex = compile(gl, gl.VERTEX_SHADER, VERTEX_SHADER);
+  const fragment = compile(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER);
+  if (!vertex || !fragment) return null;
+
+  const program = gl.createProgram();
+  gl.attachShader(program, vertex);
+  gl.attachShader(program, fragment);
+  gl.linkProgram(program);
+  return gl.getProgramParameter(program, gl.LINK_STATUS) ? program : null;
+};
+
+/**
+ * Returns `{ resize, draw, destroy }`, or null when WebGL is unavailable so the
+ * caller can keep its CSS fallback. `onContextLost` fires if the GPU drops the
+ * context later on.
+ */
+export const createMetaballRenderer = (canvas, { onContextLost } = {}) => {
+  const gl = canvas.getContext('webgl', {
+    alpha: true,
+    antialias: false,
+    depth: false,
+    powerPreference: 'low-power',
+    premultipliedAlpha: true
+  });
+  if (!gl) return null;
+
+  const program = createProgram(gl);
+  if (!program) return null;
+
+  gl.useProgram(program);
+  gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 3, -1, -1, 3]), gl.STATIC_DRAW);
+  const position = gl.getAttribLocation(program, 'a_position');
+  gl.enableVertexAttribArray(position);
+  gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+  const uniforms = Object.fromEntries(
+    ['u_resolution', 'u_scale', 'u_unit', 'u_blobs', 'u_colors', 'u_opacity']
+      .map((name) => [name, gl.getUniformLocation(program, name)])
+  );
+  const blobData = new Float32Array(BLOB_COUNT * 4);
+  let scale = 1;
+  let unit = 1;
+
+  const handleContextLost = (event) => {
+    event.preventDefault();
+    onContextLost?.();
+  };
+  canvas.addEventListener('webglcontextlost', handleContextLost);
+
+  return {
+    /** Sizes the drawing buffer to `width` × `height` CSS pixels at `pixelScale`. */
+    resize(width, height, pixelScale) {
+      scale = pixelScale;
+      unit = Math.max(1, Math.min(width, height));
+      canvas.width = Math.max(1, Math.round(width * scale));
+      canvas.height = Math.max(1, Math.round(height * scale));
+      gl.viewport(0, 0, canvas.width, canvas.height);
+    },
+
+    /** Draws one frame. `palette` is { colors: [[r, g, b], [r, g, b]], opacity }. */
+    draw(blobs, palette) {
+      blobs.forEach((blob, index) => {
+        blobData.set([blob.x / unit, blob.y / unit, blob.radius / unit, blob.color], index * 4);
+      });
+      gl.uniform2f(uniforms.u_resolution, canvas.width, canvas.height);
+      gl.uniform1f(uniforms.u_scale, scale);
+      gl.uniform1f(uniforms.u_unit, unit);
+      gl.uniform4fv(uniforms.u_blobs, blobData);
+      gl.uniform3fv(uniforms.u_colors, palette.colors.flat());
+      gl.uniform1f(uniforms.u_opacity, palette.opacity);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      gl.drawArrays(gl.TRIANGLES, 0, 3);
+    },
+
+    // The context itself stays with the canvas, so a later renderer on the
+    // same element can reuse it.
+    destroy() {
+      canvas.removeEventListener('webglcontextlost', handleContextLost);
+      gl.deleteProgram(program);
+    }
+  };
+};
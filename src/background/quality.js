@@ -0,0 +1,64 @@
+// Adapts render resolution to the measured frame rate. The governor averages
+// frame times over a window; a slow window drops one level, a run of fast ones
+// climbs back one. Past the lowest level it asks the caller to give up.
+
+export const QUALITY_LEVELS = [1, 0.75, 0.5, 0.35];
+
+const WINDOW_FRAMES = 90;
+const SLOW_FPS = 45;
+const FAST_FPS = 57;
+const FAST_WINDOWS_TO_UPGRADE = 6;
+const HOPELESS_FPS = 24;
+
+export const createQualityGovernor = ({ levels = QUALITY_LEVELS } = {}) => {
+  let level = 0;
+  let frames = 0;
+  let elapsed = 0;
+  let fastWindows = 0;
+
+  const reset = () => {
+    frames = 0;
+    elapsed = 0;
+  };
+
+  /**
+   * Records one frame's duration (ms). Returns 'lower', 'raise' or 'give-up'
+   * when the level should change, otherwise null.
+   */
+  const sample = (frameMs) => {
+    frames += 1;
+    elapsed += frameMs;
+    if (frames < WINDOW_FRAMES) return null;
+
+    const fps = (frames * 1000) / elapsed;
+    reset();
+
+    if (fps < SLOW_FPS) {
+      fastWindows = 0;
+      if (level < levels.length - 1) {
+        level += 1;
+        return 'lower';
+      }
+      return fps < HOPELESS_FPS ? 'give-up' : null;
+    }
+
+    if (fps >= FAST_FPS && level > 0) {
+      fastWindows += 1;
+      if (fastWindows >= FAST_WINDOWS_TO_UPGRADE) {
+        fastWindows = 0;
+        level -= 1;
+        return 'raise';
+      }
+    }
+    return null;
+  };
+
+  return {
+    sample,
+    // Frames measured while paused or resizing would skew the average.
+    reset,
+    get scale() {
+      return levels[level];
+    }
+  };
+};
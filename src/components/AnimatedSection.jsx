@@ -0,0 +1,40 @@
+import useReveal from '../hooks/useReveal.js';
+
+const AnimatedSection = ({
+  children,
+  className = '',
+  variant = 'up',
+  delay = 0,
+  threshold = 0.1,
+  mode = 'once',
+  as: Component = 'div',
+  elementRef,
+  trackAs,
+  style,
+  ...rest
+}) => {
+  const [ref, isVisible, revealDelay] = useReveal({ threshold, mode, delay, trackAs });
+  const setRefs = (node) => {
+    ref.current = node;
+    if (!elementRef) return;
+    if (typeof elementRef === 'function') {
+      elementRef(node);
+      return;
+    }
+    elementRef.current = node;
+  };
+
+  return (
+    <Component
+      ref={setRefs}
+      className={`animate-on-scroll ${isVisible ? 'visible' : ''} ${className}`.trim()}
+      data-variant={variant}
+      style={{ ...style, '--reveal-delay': `${revealDelay}ms` }}
+      {...rest}
+    >
+      {children}
+    </Component>
+  );
+};
+
+export default AnimatedSection;
@@ -0,0 +1,217 @@
+import { Fragment, useCallback, useEffect, useId, useMemo, useRef, useState } from 'react';
+import { useI18n } from '../i18n/context.js';
+import { useReducedMotionPreference } from '../motion/motionStore.js';
+import { buildCommands, PALETTE_GROUPS } from '../palette/commands.js';
+import { searchCommands } from '../palette/fuzzy.js';
+import { getSkillIndex } from '../skills/skillIndex.js';
+import Dialog from './Dialog.jsx';
+
+const isTypingTarget = (target) => (
+  target instanceof HTMLElement
+  && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+);
+
+const Highlighted = ({ text, indexes }) => {
+  if (indexes.length === 0) return text;
+  const marked = new Set(indexes);
+  return [...text].map((char, index) => (
+    marked.has(index) ? <mark key={index}>{char}</mark> : <Fragment key={index}>{char}</Fragment>
+  ));
+};
+
+/**
+ * Site-wide command palette, opened with Cmd/Ctrl+K, "/" or the nav button.
+ * The input is a combobox driving a listbox of commands; focus returns to
+ * wherever it was when the palette opened. `pathname` is the unprefixed path
+ * of the current page.
+ */
+const CommandPalette = ({ pathname }) => {
+  const i18n = useI18n();
+  const { t, locale } = i18n;
+  const isMotionReduced = useReducedMotionPreference();
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [announcement, setAnnouncement] = useState('');
+  const inputRef = useRef(null);
+  const listboxId = useId();
+
+  const commands = useMemo(() => buildCommands({
+    i18n,
+    pathname,
+    skillIndex: getSkillIndex(locale),
+    isMotionReduced
+  }), [i18n, pathname, locale, isMotionReduced]);
+  const results = useMemo(() => searchCommands(commands, query), [commands, query]);
+  const active = Math.min(activeIndex, results.length - 1);
+  const optionId = (index) => `${listboxId}-option-${index}`;
+
+  const open = useCallback(() => {
+    setQuery('');
+    setActiveIndex(0);
+    setAnnouncement('');
+    setIsOpen(true);
+  }, []);
+
+  const close = useCallback(() => setIsOpen(false), []);
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        if (isOpen) close();
+        else open();
+        return;
+      }
+      if (event.key === '/' && !isOpen && !event.metaKey && !event.ctrlKey && !isTypingTarget(event.target)) {
+        event.preventDefault();
+        open();
+      }
+    };
+
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [isOpen, open, close]);
+
+  useEffect(() => {
+    if (!isOpen || active < 0) return;
+    document.getElementById(`${listboxId}-option-${active}`)?.scrollIntoView({ block: 'nearest' });
+  }, [isOpen, active, listboxId]);
+
+  const runCommand = (index) => {
+    const result = results[index];
+    if (!result) return;
+    setAnnouncement('');
+    result.command.run({ close, announce: setAnnouncement });
+  };
+
+  const handleKeyDown = (event) => {
+    const count = results.length;
+    if (event.key === 'ArrowDown' && count > 0) {
+      event.preventDefault();
+      setActiveIndex((active + 1) % count);
+    } else if (event.key === 'ArrowUp' && count > 0) {
+      event.preventDefault();
+      setActiveIndex((active - 1 + count) % count);
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      runCommand(active);
+    } else if (event.key === 'Tab') {
+      // The input is the dialog's only tab stop.
+      event.preventDefault();
+    }
+  };
+
+  // Without a query commands are shown by group; search results are one
+  // ranked list with the group as a hint.
+  const sections = query.trim()
+    ? [{ id: 'results', label: t('palette.results'), entries: results.map((result, index) => ({ ...result, index })) }]
+    : PALETTE_GROUPS.map((group) => ({
+      id: group,
+      label: t(`palette.groups.${group}`),
+      entries: results
+        .map((result, index) => ({ ...result, index }))
+        .filter(({ command }) => command.group === group)
+    })).filter((section) => section.entries.length > 0);
+
+  return (
+    <>
+      <button
+        type="button"
+        className="nav-link nav-button palette-trigger"
+        aria-haspopup="dialog"
+        aria-keyshortcuts="Control+K Meta+K /"
+        aria-label={t('palette.trigger')}
+        onClick={open}
+      >
+        <svg className="theme-menu-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+          <circle cx="11" cy="11" r="7" />
+          <path d="m20 20-3.5-3.5" />
+        </svg>
+      </button>
+
+      <Dialog
+        isOpen={isOpen}
+        onClose={close}
+        className="palette"
+        overlayClassName="palette-overlay"
+        label={t('palette.label')}
+        initialFocusRef={inputRef}
+      >
+        <div className="palette-search">
+          <svg className="palette-search-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+            <circle cx="11" cy="11" r="7" />
+            <path d="m20 20-3.5-3.5" />
+          </svg>
+          <input
+            ref={inputRef}
+            className="palette-input"
+            type="text"
+            role="combobox"
+            aria-label={t('palette.inputLabel')}
+            aria-expanded={results.length > 0}
+            aria-controls={listboxId}
+            aria-autocomplete="list"
+            aria-activedescendant={active >= 0 ? optionId(active) : undefined}
+            placeholder={t('palette.placeholder')}
+            autoComplete="off"
+            spellCheck={false}
+            value={query}
+            onChange={(event) => {
+              setQuery(event.target.value);
+              setActiveIndex(0);
+            }}
+            onKeyDown={handleKeyDown}
+          />
+          <kbd className="palette-kbd">Esc</kbd>
+        </div>
+
+        <div id={listboxId} className="palette-list" role="listbox" aria-label={t('palette.results')}>
+          {sections.map((section) => (
+            <div key={section.id} role="group" aria-labelledby={`${listboxId}-${section.id}`}>
+              <div id={`${listboxId}-${section.id}`} className="palette-group-label" role="presentation">
+                {section.label}
+              </div>
+              {section.entries.map(({ command, indexes, index }) => (
+                <div
+                  key={command.id}
+                  id={optionId(index)}
+                  role="option"
+                  aria-selected={index === active}
+                  className={`palette-option ${index === active ? 'is-active' : ''}`}
+                  onMouseMove={() => {
+                    if (index !== active) setActiveIndex(index);
+                  }}
+                  onClick={() => runCommand(index)}
+                >
+                  <span className="palette-option-label">
+                    <Highlighted text={command.label} indexes={indexes} />
+                  </span>
+                  {(query.trim() || command.hint) && (
+                    <span className="palette-option-hint">
+                      {command.hint ?? t(`palette.groups.${command.group}`)}
+                    </span>
+                  )}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+
+        {results.length === 0 && (
+          <p className="palette-empty" role="status">{t('palette.noResults', { query: query.trim() })}</p>
+        )}
+
+        <div className="palette-footer">
+          <p className="palette-announcement" role="status" aria-live="polite">{announcement}</p>
+          <p className="palette-keys" aria-hidden="true">
+            <kbd className="palette-kbd">↑</kbd><kbd className="palette-kbd">↓</kbd> {t('palette.keys.move')}
+            <kbd className="palette-kbd">↵</kbd> {t('palette.keys.select')}
+          </p>
+        </div>
+      </Dialog>
+    </>
+  );
+};
+
+export default CommandPalette;
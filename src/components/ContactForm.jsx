@@ -0,0 +1,159 @@
+import { useEffect, useRef, useState } from 'react';
+import { site } from 'virtual:content';
+import { CONTACT_LIMITS, CONTACT_REASONS, validateContact } from '../contact/validation.js';
+import { useI18n } from '../i18n/context.js';
+
+const EMPTY_FORM = { name: '', email: '', reason: '', message: '', website: '' };
+
+// Statuses with a `contact.status.<status>` message.
+const STATUS_MESSAGES = ['success', 'rate_limited', 'error'];
+
+const ERROR_PARAMS = {
+  name: { max: CONTACT_LIMITS.name },
+  message: { min: CONTACT_LIMITS.messageMin, max: CONTACT_LIMITS.messageMax }
+};
+
+const ContactForm = () => {
+  const { t } = useI18n();
+  const [values, setValues] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [touched, setTouched] = useState({});
+  const [status, setStatus] = useState('idle');
+  const openedAtRef = useRef(0);
+  const fieldRefs = useRef({});
+
+  useEffect(() => {
+    openedAtRef.current = Date.now();
+  }, []);
+
+  const handleChange = (event) => {
+    const { name, value } = event.target;
+    const nextValues = { ...values, [name]: value };
+    setValues(nextValues);
+    if (touched[name]) {
+      setErrors(validateContact(nextValues).errors);
+    }
+  };
+
+  const handleBlur = (event) => {
+    setTouched((current) => ({ ...current, [event.target.name]: true }));
+    setErrors(validateContact(values).errors);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    const { errors: nextErrors } = validateContact(values);
+    setErrors(nextErrors);
+    setTouched({ name: true, email: true, reason: true, message: true });
+
+    const firstInvalid = ['name', 'email', 'reason', 'message'].find((field) => nextErrors[field]);
+    if (firstInvalid) {
+      fieldRefs.current[firstInvalid]?.focus();
+      return;
+    }
+
+    setStatus('submitting');
+    try {
+      const response = await fetch('/api/contact', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...values, elapsedMs: Date.now() - openedAtRef.current })
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (response.ok && result.ok) {
+        setStatus('success');
+        setValues(EMPTY_FORM);
+        setTouched({});
+        return;
+      }
+      if (result.errors) {
+        setErrors(result.errors);
+        setStatus('idle');
+        return;
+      }
+      setStatus(response.status === 429 ? 'rate_limited' : 'error');
+    } catch {
+      setStatus('error');
+    }
+  };
+
+  const fieldProps = (name) => ({
+    id: `contact-${name}`,
+    name,
+    value: values[name],
+    onChange: handleChange,
+    onBlur: handleBlur,
+    ref: (node) => {
+      fieldRefs.current[name] = node;
+    },
+    'aria-invalid': Boolean(touched[name] && errors[name]),
+    'aria-describedby': touched[name] && errors[name] ? `contact-${name}-error` : undefined
+  });
+
+  const fieldError = (name) => (
+    touched[name] && errors[name] ? (
+      <p id={`contact-${name}-error`} className="contact-form-error">
+        {t(`contact.errors.${name}.${errors[name]}`, ERROR_PARAMS[name])}
+      </p>
+    ) : null
+  );
+
+  return (
+    <form className="contact-form" onSubmit={handleSubmit} noValidate>
+      <div className="contact-form-row">
+        <div className="contact-form-field">
+          <label htmlFor="contact-name">{t('contact.fields.name')}</label>
+          <input type="text" autoComplete="name" maxLength={CONTACT_LIMITS.name} {...fieldProps('name')} />
+          {fieldError('name')}
+        </div>
+        <div className="contact-form-field">
+          <label htmlFor="contact-email">{t('contact.fields.email')}</label>
+          <input type="email" autoComplete="email" maxLength={CONTACT_LIMITS.email} {...fieldProps('email')} />
+          {fieldError('email')}
+        </div>
+      </div>
+
+      <div className="contact-form-field">
+        <label htmlFor="contact-reason">{t('contact.fields.reason')}</label>
+        <select {...fieldProps('reason')}>
+          <option value="" disabled>{t('contact.fields.reasonPlaceholder')}</option>
+          {CONTACT_REASONS.map((reason) => (
+            <option key={reason} value={reason}>{t(`contact.reasons.${reason}`)}</option>
+          ))}
+        </select>
+        {fieldError('reason')}
+      </div>
+
+      <div className="contact-form-field">
+        <label htmlFor="contact-message">{t('contact.fields.message')}</label>
+        <textarea rows={6} maxLength={CONTACT_LIMITS.messageMax} {...fieldProps('message')} />
+        {fieldError('message')}
+      </div>
+
+      <div className="contact-form-honeypot" aria-hidden="true">
+        <label htmlFor="contact-website">{t('contact.fields.website')}</label>
+        <input
+          id="contact-website"
+          type="text"
+          name="website"
+          tabIndex={-1}
+          autoComplete="off"
+          value={values.website}
+          onChange={handleChange}
+        />
+      </div>
+
+      <button type="submit" className="btn btn-primary contact-form-submit" disabled={status === 'submitting'}>
+        {status === 'submitting' ? t('contact.sending') : t('contact.send')}
+      </button>
+
+      <p className={`contact-form-status is-${status}`} role="status" aria-live="polite">
+        {STATUS_MESSAGES.includes(status) ? t(`contact.status.${status}`, { email: site.email }) : '\u00A0'}
+      </p>
+    </form>
+  );
+};
+
+export default ContactForm;
@@ -0,0 +1,113 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { downloadFile } from '../contact/download.js';
+import { createVCard, vCardFileName } from '../contact/vcard.js';
+import { useI18n } from '../i18n/context.js';
+import Dialog from './Dialog.jsx';
+import QrCode from './QrCode.jsx';
+
+const QR_MODES = ['contact', 'website'];
+
+/**
+ * The QR code filling the screen, for holding a phone up to at a career fair.
+ * It asks for real fullscreen where the browser allows it and otherwise just
+ * covers the viewport. `onClose` runs on Escape, the close button or a click
+ * outside the code.
+ */
+const QrScreen = ({ isOpen, vCard, onClose }) => {
+  const { t, content: { site } } = useI18n();
+  const [mode, setMode] = useState('contact');
+  const screenRef = useRef(null);
+
+  useEffect(() => {
+    const screen = screenRef.current;
+    if (!isOpen || !screen) return undefined;
+
+    // Leaving fullscreen with the browser's own controls closes the screen too.
+    const onFullscreenChange = () => {
+      if (!document.fullscreenElement) onClose();
+    };
+    screen.requestFullscreen?.().catch(() => {});
+    screen.addEventListener('fullscreenchange', onFullscreenChange);
+    return () => {
+      screen.removeEventListener('fullscreenchange', onFullscreenChange);
+      if (document.fullscreenElement === screen) document.exitFullscreen?.().catch(() => {});
+    };
+  }, [isOpen, onClose]);
+
+  const host = new URL(site.url).host;
+
+  return (
+    <Dialog
+      ref={screenRef}
+      isOpen={isOpen}
+      onClose={onClose}
+      className="qr-screen"
+      overlayClassName="qr-screen-overlay"
+      label={t('contactShare.qrLabel')}
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget) onClose();
+      }}
+    >
+      <button type="button" className="egg-close qr-screen-close" onClick={onClose} aria-label={t('contactShare.close')}>
+        ✕
+      </button>
+      <div className="qr-screen-body">
+        <QrCode
+          className="qr-screen-code"
+          value={mode === 'contact' ? vCard : site.url}
+          label={t(`contactShare.codeLabel.${mode}`, { name: site.name, host })}
+        />
+        <p className="qr-screen-name">{site.name}</p>
+        <p className="qr-screen-hint">{t(`contactShare.hint.${mode}`, { host })}</p>
+        <div className="qr-screen-modes" role="group" aria-label={t('contactShare.modesLabel')}>
+          {QR_MODES.map((option) => (
+            <button
+              key={option}
+              type="button"
+              className="qr-screen-mode"
+              aria-pressed={mode === option}
+              onClick={() => setMode(option)}
+            >
+              {t(`contactShare.modes.${option}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+    </Dialog>
+  );
+};
+
+/**
+ * "Save contact" and "Show QR code" for the contact section. Both work from
+ * the site's own contact data without any network request: the vCard is
+ * built and the QR code encoded in the browser.
+ */
+const ContactShare = () => {
+  const { t, content: { site } } = useI18n();
+  const [isQrOpen, setIsQrOpen] = useState(false);
+  const vCard = createVCard(site);
+  const closeQr = useCallback(() => setIsQrOpen(false), []);
+
+  return (
+    <>
+      <button
+        type="button"
+        className="btn btn-outline"
+        onClick={() => downloadFile(vCardFileName(site.name), 'text/vcard', vCard)}
+      >
+        {t('contactShare.save')}
+      </button>
+      <button
+        type="button"
+        className="btn btn-outline"
+        aria-haspopup="dialog"
+        onClick={() => setIsQrOpen(true)}
+      >
+        {t('contactShare.showQr')}
+      </button>
+      <QrScreen isOpen={isQrOpen} vCard={vCard} onClose={closeQr} />
+    </>
+  );
+};
+
+export default ContactShare;
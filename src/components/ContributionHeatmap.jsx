@@ -0,0 +1,159 @@
+import { useMemo, useRef, useState } from 'react';
+import {
+  describeDay,
+  monthLabels,
+  summarizeContributions,
+  toWeeks,
+  weekdayLabels
+} from '../github/contributions.js';
+import { useI18n } from '../i18n/context.js';
+
+const cellKey = (row, column) => `${row}:${column}`;
+
+const lastDayPosition = (weeks) => {
+  for (let column = weeks.length - 1; column >= 0; column -= 1) {
+    for (let row = 6; row >= 0; row -= 1) {
+      if (weeks[column][row]) return { row, column };
+    }
+  }
+  return { row: 0, column: 0 };
+};
+
+const ContributionHeatmap = ({ days }) => {
+  const i18n = useI18n();
+  const { t, intlLocale, formatNumber } = i18n;
+  const weeks = useMemo(() => toWeeks(days), [days]);
+  const months = useMemo(() => monthLabels(weeks, intlLocale), [weeks, intlLocale]);
+  const weekdays = useMemo(() => weekdayLabels(intlLocale), [intlLocale]);
+  const summary = useMemo(() => summarizeContributions(days), [days]);
+  const [activeCell, setActiveCell] = useState(() => lastDayPosition(weeks));
+  const [tooltip, setTooltip] = useState(null);
+  const cellRefs = useRef(new Map());
+
+  const showTooltip = (day, node) => {
+    setTooltip({
+      day,
+      left: node.offsetLeft + node.offsetWidth / 2,
+      top: node.offsetTop
+    });
+  };
+
+  const focusCell = (row, column) => {
+    if (!weeks[column]?.[row]) return;
+    cellRefs.current.get(cellKey(row, column))?.focus();
+  };
+
+  const handleKeyDown = (event) => {
+    const { row, column } = activeCell;
+    const moves = {
+      ArrowUp: [row - 1, column],
+      ArrowDown: [row + 1, column],
+      ArrowLeft: [row, column - 1],
+      ArrowRight: [row, column + 1],
+      Home: [row, weeks.findIndex((week) => week[row])],
+      End: [row, weeks.findLastIndex((week) => week[row])]
+    };
+    const target = moves[event.key];
+    if (!target) {
+      if (event.key === 'Escape') setTooltip(null);
+      return;
+    }
+    event.preventDefault();
+    focusCell(...target);
+  };
+
+  return (
+    <div className="heatmap">
+      <p className="heatmap-summary">
+        {t.parts('github.total', {
+          count: summary.total,
+          total: <strong key="total">{formatNumber(summary.total)}</strong>
+        })}
+        <span className="heatmap-summary-divider" aria-hidden="true">·</span>
+        {t.parts('github.longestStreak', {
+          count: summary.longestStreak,
+          days: <strong key="days">{formatNumber(summary.longestStreak)}</strong>
+        })}
+      </p>
+
+      <div className="heatmap-scroll">
+        <div className="heatmap-body" style={{ '--heatmap-weeks': weeks.length }}>
+          <div className="heatmap-months" aria-hidden="true">
+            {months.map((month) => (
+              <span key={month.index} style={{ '--heatmap-column': month.index }}>{month.label}</span>
+            ))}
+          </div>
+          <div className="heatmap-weekdays" aria-hidden="true">
+            {weekdays.map((label, index) => (
+              <span key={index}>{index % 2 === 1 ? label : ''}</span>
+            ))}
+          </div>
+
+          <div
+            className="heatmap-grid"
+            role="grid"
+            aria-label={t('github.gridLabel')}
+            aria-readonly="true"
+            onKeyDown={handleKeyDown}
+            onMouseLeave={() => setTooltip(null)}
+            onBlur={(event) => {
+              if (!event.currentTarget.contains(event.relatedTarget)) setTooltip(null);
+            }}
+          >
+            {weekdays.map((weekday, row) => (
+              <div key={row} role="row" className="heatmap-row">
+                {weeks.map((week, column) => {
+                  const day = week[row];
+                  if (!day) {
+                    return <div key={column} role="gridcell" className="heatmap-cell is-empty" />;
+                  }
+
+                  const isActive = activeCell.row === row && activeCell.column === column;
+                  return (
+                    <div
+                      key={day.date}
+                      ref={(node) => {
+                        if (node) cellRefs.current.set(cellKey(row, column), node);
+                        else cellRefs.current.delete(cellKey(row, column));
+                      }}
+                      role="gridcell"
+                      tabIndex={isActive ? 0 : -1}
+                      className="heatmap-cell"
+                      data-level={day.level}
+                      aria-label={describeDay(day, i18n)}
+                      onMouseEnter={(event) => showTooltip(day, event.currentTarget)}
+                      onFocus={(event) => {
+                        setActiveCell({ row, column });
+                        showTooltip(day, event.currentTarget);
+                      }}
+                    />
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+
+          {tooltip && (
+            <div
+              className="heatmap-tooltip"
+              aria-hidden="true"
+              style={{ left: tooltip.left, top: tooltip.top }}
+            >
+              {describeDay(tooltip.day, i18n)}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="heatmap-legend" aria-hidden="true">
+        <span>{t('github.less')}</span>
+        {[0, 1, 2, 3, 4].map((level) => (
+          <span key={level} className="heatmap-cell" data-level={level} />
+        ))}
+        <span>{t('github.more')}</span>
+      </div>
+    </div>
+  );
+};
+
+export default ContributionHeatmap;
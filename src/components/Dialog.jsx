@@ -0,0 +1,107 @@
+import { useEffect, useId, useImperativeHandle, useRef, useSyncExternalStore } from 'react';
+import { createPortal } from 'react-dom';
+import { AnimatePresence, motion as Motion } from 'framer-motion';
+import { getTopLayer, openLayer, subscribeToLayers } from '../dialog/layers.js';
+import useFocusTrap, { focusableIn } from '../hooks/useFocusTrap.js';
+import { useReducedMotionPreference } from '../motion/motionStore.js';
+
+const EASE = [0.22, 1, 0.36, 1];
+
+/**
+ * A modal dialog over the whole page, rendered into <body>. While open, Tab
+ * stays inside it, the rest of the page is inert and does not scroll, and
+ * Escape or a click on the overlay calls `onClose`. Dialogs opened from
+ * inside a dialog stack on top of it.
+ *
+ * Focus goes to `initialFocusRef` on open (the first focusable element
+ * otherwise) and back to `returnFocusRef` on close (wherever it was before
+ * opening otherwise). Name the dialog with `label` or `labelledBy`.
+ * `backdrop` is drawn on the overlay behind the panel; `ref` and any other
+ * props go to the panel.
+ */
+const Dialog = ({
+  isOpen,
+  onClose,
+  label,
+  labelledBy,
+  describedBy,
+  initialFocusRef,
+  returnFocusRef,
+  className = '',
+  overlayClassName = '',
+  backdrop = null,
+  children,
+  ref,
+  ...panelProps
+}) => {
+  const id = useId();
+  const isMotionReduced = useReducedMotionPreference();
+  const isTop = useSyncExternalStore(subscribeToLayers, getTopLayer, () => null) === id;
+  const overlayRef = useRef(null);
+  const panelRef = useRef(null);
+  const onCloseRef = useRef(onClose);
+
+  useImperativeHandle(ref, () => panelRef.current);
+  useFocusTrap(panelRef, isOpen && isTop);
+
+  useEffect(() => {
+    onCloseRef.current = onClose;
+  });
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const returnTo = returnFocusRef?.current ?? document.activeElement;
+    const closeLayer = openLayer({ id, element: overlayRef.current, onClose: () => onCloseRef.current() });
+    const panel = panelRef.current;
+    (initialFocusRef?.current ?? focusableIn(panel)[0] ?? panel)?.focus();
+
+    return () => {
+      closeLayer();
+      returnTo?.focus?.();
+    };
+  }, [isOpen, id, initialFocusRef, returnFocusRef]);
+
+  if (typeof document === 'undefined') return null;
+
+  return createPortal(
+    <AnimatePresence>
+      {isOpen && (
+        <Motion.div
+          ref={overlayRef}
+          className={`dialog-overlay ${overlayClassName}`}
+          role="presentation"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          transition={{ duration: isMotionReduced ? 0.16 : 0.3 }}
+          onMouseDown={(event) => {
+            if (event.target === event.currentTarget) onClose();
+          }}
+        >
+          {backdrop}
+          <Motion.div
+            {...panelProps}
+            ref={panelRef}
+            className={`dialog ${className}`}
+            role="dialog"
+            aria-modal="true"
+            aria-label={label}
+            aria-labelledby={labelledBy}
+            aria-describedby={describedBy}
+            tabIndex={-1}
+            initial={isMotionReduced ? { opacity: 0 } : { opacity: 0, y: 24, scale: 0.96 }}
+            animate={isMotionReduced ? { opacity: 1 } : { opacity: 1, y: 0, scale: 1 }}
+            exit={isMotionReduced ? { opacity: 0 } : { opacity: 0, y: 12, scale: 0.98 }}
+            transition={{ duration: isMotionReduced ? 0.16 : 0.32, ease: EASE }}
+          >
+            {children}
+          </Motion.div>
+        </Motion.div>
+      )}
+    </AnimatePresence>,
+    document.body
+  );
+};
+
+export default Dialog;
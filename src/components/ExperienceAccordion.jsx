@@ -0,0 +1,164 @@
+import { useMemo, useState } from 'react';
+import { ANALYTICS_EVENTS } from '../analytics/events.js';
+import { track } from '../analytics/tracker.js';
+import useHashSelection from '../hooks/useHashSelection.js';
+import { useI18n } from '../i18n/context.js';
+import { scrollToElement } from '../nav/sections.js';
+import ExperienceCard from './ExperienceCard.jsx';
+import ExperienceTimeline from './ExperienceTimeline.jsx';
+import RevealGroup from './RevealGroup.jsx';
+
+const EXPERIENCE_SECTION = 'work';
+
+// Keys that move focus between headers, per the WAI-ARIA accordion pattern.
+const FOCUS_MOVES = {
+  ArrowDown: (index, count) => (index + 1) % count,
+  ArrowUp: (index, count) => (index - 1 + count) % count,
+  Home: () => 0,
+  End: (index, count) => count - 1
+};
+
+const cardId = (id) => `${EXPERIENCE_SECTION}/${id}`;
+
+/**
+ * The experience list. Cards opened by click or keyboard are kept in the URL
+ * hash (`#work/arizona-athletics`). By default opening a card closes the
+ * others, and on pointer devices hovering a card opens it for the moment
+ * without touching the hash. The "Open several" toggle, on from the start
+ * with `allowMultiple`, lets any number of cards stay open and offers
+ * Expand all / Collapse all. "Show timeline" adds a chart above the cards
+ * whose bars open them. `jobHighlights` maps experience ids to the detail
+ * positions a job match highlights.
+ */
+const ExperienceAccordion = ({
+  experiences,
+  skillFilter,
+  jobHighlights,
+  allowMultiple = false,
+  isHoverCapable = false
+}) => {
+  const { t } = useI18n();
+  const ids = useMemo(() => experiences.map((experience) => experience.id), [experiences]);
+  const [selected, setSelected] = useHashSelection(EXPERIENCE_SECTION, ids);
+  const [isMultiple, setIsMultiple] = useState(allowMultiple);
+  const [hoveredId, setHoveredId] = useState(null);
+  const selectedIds = isMultiple ? selected : selected.slice(0, 1);
+  const openIds = !isMultiple && hoveredId ? [hoveredId] : selectedIds;
+  // The timeline is drawn as of the moment it was switched on, so the
+  // prerendered list never depends on the build's clock.
+  const [timelineAt, setTimelineAt] = useState(null);
+
+  const open = (id) => {
+    setHoveredId(null);
+    setSelected(isMultiple ? ids.filter((entry) => entry === id || selectedIds.includes(entry)) : [id]);
+  };
+
+  // A card only open from hovering is opened for good by clicking it.
+  const handleToggleOpen = (id) => {
+    if (selectedIds.includes(id)) {
+      setHoveredId(null);
+      setSelected(selectedIds.filter((openId) => openId !== id));
+      return;
+    }
+    track(ANALYTICS_EVENTS.accordionOpen, id);
+    open(id);
+  };
+
+  const handleToggleMultiple = () => {
+    setHoveredId(null);
+    setIsMultiple((current) => !current);
+  };
+
+  const handleTimelineSelect = (id) => {
+    open(id);
+    const card = document.getElementById(cardId(id));
+    scrollToElement(card);
+    card?.querySelector('[data-accordion-header]')?.focus({ preventScroll: true });
+  };
+
+  const handleKeyDown = (event) => {
+    const move = FOCUS_MOVES[event.key];
+    if (!move || !event.target.matches('[data-accordion-header]')) return;
+
+    const headers = [...event.currentTarget.querySelectorAll('[data-accordion-header]')];
+    const index = headers.indexOf(event.target);
+    if (index === -1) return;
+
+    event.preventDefault();
+    headers[move(index, headers.length)].focus();
+  };
+
+  return (
+    <>
+      <div className="accordion-toolbar">
+        <button
+          type="button"
+          className="accordion-toolbar-button accordion-timeline-toggle"
+          aria-pressed={timelineAt !== null}
+          onClick={() => setTimelineAt((current) => (current ? null : new Date()))}
+        >
+          {t('timeline.show')}
+        </button>
+        <button
+          type="button"
+          className="accordion-toolbar-button"
+          aria-pressed={isMultiple}
+          onClick={handleToggleMultiple}
+        >
+          {t('accordion.openSeveral')}
+        </button>
+        {isMultiple && (
+          <>
+            <button
+              type="button"
+              className="accordion-toolbar-button"
+              disabled={openIds.length === ids.length}
+              onClick={() => setSelected(ids)}
+            >
+              {t('accordion.expandAll')}
+            </button>
+            <button
+              type="button"
+              className="accordion-toolbar-button"
+              disabled={openIds.length === 0}
+              onClick={() => setSelected([])}
+            >
+              {t('accordion.collapseAll')}
+            </button>
+          </>
+        )}
+      </div>
+
+      {timelineAt && (
+        <ExperienceTimeline
+          experiences={experiences}
+          now={timelineAt}
+          openIds={openIds}
+          onSelect={handleTimelineSelect}
+        />
+      )}
+
+      <div className="accordion" onKeyDown={handleKeyDown}>
+        <RevealGroup stagger={140}>
+          {experiences.map((exp, index) => (
+            <ExperienceCard
+              key={exp.id}
+              {...exp}
+              anchorId={cardId(exp.id)}
+              isOpen={openIds.includes(exp.id)}
+              isHoverCapable={isHoverCapable && !isMultiple}
+              onHoverOpen={setHoveredId}
+              onToggleOpen={handleToggleOpen}
+              skillFilter={skillFilter}
+              jobHighlights={jobHighlights?.get(exp.id)}
+              variant={index % 2 === 0 ? 'left' : 'right'}
+              threshold={0.15}
+            />
+          ))}
+        </RevealGroup>
+      </div>
+    </>
+  );
+};
+
+export default ExperienceAccordion;
@@ -0,0 +1,116 @@
+import { motion } from 'framer-motion';
+import useReveal from '../hooks/useReveal.js';
+import { useI18n } from '../i18n/context.js';
+import { matchExperience } from '../skills/skillIndex.js';
+import SkillToggle from './SkillToggle.jsx';
+import Testimonial from './Testimonial.jsx';
+
+const ExperienceCard = ({
+  id,
+  anchorId,
+  company,
+  role,
+  date,
+  description,
+  details,
+  tags,
+  isOpen,
+  isHoverCapable,
+  onHoverOpen,
+  onToggleOpen,
+  skillFilter,
+  jobHighlights,
+  variant = 'up',
+  delay = 0,
+  threshold = 0.1
+}) => {
+  const [animationRef, isVisible, revealDelay, prefersReducedMotion] = useReveal({ threshold, delay });
+  const { formatDateRange, content } = useI18n();
+  const testimonials = content.testimonials.filter((testimonial) => testimonial.experienceId === id);
+  const contentId = `experience-details-${id}`;
+  const headerId = `experience-header-${id}`;
+  const match = skillFilter.activeId
+    ? matchExperience({ tags, details, description }, skillFilter.activeId, skillFilter.index)
+    : null;
+  const filterClass = match ? (match.isMatch ? 'is-filter-match' : 'is-filter-dimmed') : '';
+  const detailClass = (i) => [
+    match?.details.has(i) && 'is-filter-match',
+    jobHighlights?.has(i) && 'is-job-match'
+  ].filter(Boolean).join(' ');
+
+  const handleMouseEnter = () => {
+    if (isHoverCapable) onHoverOpen(id);
+  };
+
+  return (
+    <div
+      ref={animationRef}
+      id={anchorId}
+      className={`accordion-item animate-on-scroll ${isOpen ? 'active' : ''} ${isVisible ? 'visible' : ''} ${filterClass} ${jobHighlights ? 'is-job-match' : ''}`}
+      data-variant={variant}
+      style={{ '--reveal-delay': `${revealDelay}ms` }}
+      onMouseEnter={handleMouseEnter}
+    >
+      <h3 className="accordion-heading">
+        <button
+          type="button"
+          id={headerId}
+          className="accordion-header"
+          data-accordion-header
+          aria-expanded={isOpen}
+          aria-controls={contentId}
+          onClick={() => onToggleOpen(id)}
+        >
+          <span className="accordion-left">
+            <span className="accordion-company">{company}</span>
+            <span className="accordion-role">{role}</span>
+          </span>
+          <span className="accordion-date">{formatDateRange(date)}</span>
+          <svg className="accordion-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+            <polyline points="6 9 12 15 18 9" />
+          </svg>
+        </button>
+      </h3>
+      <motion.div
+        id={contentId}
+        role="region"
+        aria-labelledby={headerId}
+        className={`accordion-content ${isOpen ? 'is-open' : 'is-collapsed'}`}
+        initial={false}
+        animate={{ height: isOpen ? 'auto' : 0 }}
+        transition={prefersReducedMotion ? { duration: 0 } : { duration: 0.34, ease: [0.22, 1, 0.36, 1] }}
+      >
+        <motion.div
+          className="accordion-inner"
+          initial={false}
+          animate={{ opacity: isOpen ? 1 : 0 }}
+          transition={prefersReducedMotion ? { duration: 0 } : { duration: 0.22, delay: isOpen ? 0.08 : 0 }}
+        >
+          <p className={`accordion-description ${match?.description ? 'is-filter-match' : ''}`}>{description}</p>
+          <ul className="accordion-list">
+            {details.map((detail, i) => (
+              <li key={i} className={detailClass(i)}>{detail}</li>
+            ))}
+          </ul>
+          <div className="accordion-tags">
+            {tags.map((tag) => (
+              <SkillToggle key={tag} label={tag} className="accordion-tag" skillFilter={skillFilter} />
+            ))}
+          </div>
+          {testimonials.map((testimonial) => (
+            <Testimonial key={testimonial.id} {...testimonial} className="accordion-testimonial" />
+          ))}
+        </motion.div>
+      </motion.div>
+      <motion.span
+        className="accordion-bottom-line"
+        aria-hidden="true"
+        initial={false}
+        animate={{ scaleX: isOpen ? 1 : 0 }}
+        transition={prefersReducedMotion ? { duration: 0 } : { type: 'spring', stiffness: 320, damping: 34, mass: 0.75 }}
+      />
+    </div>
+  );
+};
+
+export default ExperienceCard;
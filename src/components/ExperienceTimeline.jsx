@@ -0,0 +1,85 @@
+import { monthIndex } from '../experience/dates.js';
+import { buildTimeline } from '../experience/timeline.js';
+import { useI18n } from '../i18n/context.js';
+
+const percent = (value) => `${value}%`;
+
+/**
+ * The experiences on a horizontal time axis as of `now` (a Date), with
+ * overlapping roles in separate lanes and a recurring role drawn as one bar
+ * per season. Bars for `openIds` are pressed; choosing a bar calls
+ * `onSelect(id)`. The legend lists each role's total time.
+ */
+const ExperienceTimeline = ({ experiences, now, openIds, onSelect }) => {
+  const { t, formatDateRange, formatDuration } = useI18n();
+  const { roles, laneCount, years, position } = buildTimeline(experiences, now);
+  const today = monthIndex({ year: now.getFullYear(), month: now.getMonth() + 1 });
+
+  return (
+    <div className="timeline">
+      <div
+        className="timeline-track"
+        role="group"
+        aria-label={t('timeline.label')}
+        style={{ '--timeline-lanes': laneCount }}
+      >
+        {years.map((year) => (
+          <span key={year} className="timeline-year" style={{ left: percent(position(year * 12)) }} aria-hidden="true">
+            {year}
+          </span>
+        ))}
+        <span className="timeline-now" style={{ left: percent(position(today + 0.5)) }} aria-hidden="true" />
+        {roles.map(({ id, experience, periods, months, lane }) => {
+          const start = periods[0].start;
+          const span = periods.at(-1).end - start;
+          return (
+            <button
+              key={id}
+              type="button"
+              className="timeline-bar"
+              style={{
+                left: percent(position(start)),
+                width: percent(position(start + span) - position(start)),
+                '--timeline-lane': lane
+              }}
+              aria-pressed={openIds.includes(id)}
+              aria-label={t('timeline.barLabel', {
+                company: experience.company,
+                role: experience.role,
+                range: formatDateRange(experience.date),
+                duration: formatDuration(months)
+              })}
+              title={experience.company}
+              onClick={() => onSelect(id)}
+            >
+              {periods.map((period) => (
+                <span
+                  key={period.start}
+                  className="timeline-segment"
+                  style={{
+                    left: percent(((period.start - start) / span) * 100),
+                    width: percent(((period.end - period.start) / span) * 100)
+                  }}
+                />
+              ))}
+              <span className="timeline-bar-label" aria-hidden="true">{experience.company}</span>
+            </button>
+          );
+        })}
+      </div>
+      <ul className="timeline-legend">
+        {roles.map(({ id, experience, months }) => (
+          <li key={id}>
+            <span className="timeline-legend-company">{experience.company}</span>
+            {' · '}
+            {formatDateRange(experience.date)}
+            {' · '}
+            <span className="timeline-legend-total">{t('timeline.total', { duration: formatDuration(months) })}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ExperienceTimeline;
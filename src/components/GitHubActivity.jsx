@@ -0,0 +1,35 @@
+import { site } from 'virtual:content';
+import useContributions from '../hooks/useContributions.js';
+import { useI18n } from '../i18n/context.js';
+import ContributionHeatmap from './ContributionHeatmap.jsx';
+
+const GitHubActivity = () => {
+  const { status, snapshot } = useContributions();
+  const { t } = useI18n();
+
+  return (
+    <div className="github-card">
+      <h3 className="github-title">{t('github.title')}</h3>
+      <p className="github-desc">
+        {snapshot?.source === 'fixture' ? t('github.sample') : t('github.synced')}
+      </p>
+      <div className="github-graph" aria-busy={status === 'loading'}>
+        {status === 'ready' && <ContributionHeatmap days={snapshot.days} />}
+        {status === 'loading' && <p className="github-status">{t('github.loading')}</p>}
+        {status === 'error' && (
+          <p className="github-status">
+            {t.parts('github.unavailable', {
+              link: (
+                <a key="link" href={site.links.github} target="_blank" rel="noreferrer">
+                  {t('github.viewOnGitHub')}
+                </a>
+              )
+            })}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default GitHubActivity;
@@ -0,0 +1,141 @@
+import { useId, useRef, useState } from 'react';
+import { useI18n } from '../i18n/context.js';
+import Dialog from './Dialog.jsx';
+
+const SkillList = ({ className, title, skills }) => (
+  <div className={`job-match-group ${className}`}>
+    <h4 className="job-match-heading">{title}</h4>
+    <ul className="job-match-skills">
+      {skills.map((skill) => (
+        <li key={skill.id} className="job-match-skill">{skill.label}</li>
+      ))}
+    </ul>
+  </div>
+);
+
+/**
+ * "Check fit": a dialog to paste a job description into and, once checked, a
+ * summary of the skills it asks for that the portfolio covers and misses. The
+ * matching bullets are highlighted in the experience list by the caller.
+ * `jobMatch` comes from useJobMatch.
+ */
+const JobMatch = ({ jobMatch }) => {
+  const { t, content: { experiences } } = useI18n();
+  const { description, match, setDescription, clear } = jobMatch;
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState('');
+  const triggerRef = useRef(null);
+  const inputRef = useRef(null);
+  const titleId = useId();
+  const inputId = useId();
+  const hintId = useId();
+
+  const openDialog = () => {
+    setDraft(description ?? '');
+    setIsOpen(true);
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    setDescription(draft.trim() || null);
+    setIsOpen(false);
+  };
+
+  // The summary goes away with its Clear button, so focus goes back to the trigger.
+  const handleClear = () => {
+    clear();
+    triggerRef.current?.focus();
+  };
+
+  const matched = match?.skills.filter((skill) => skill.isMatch) ?? [];
+  const missing = match?.skills.filter((skill) => !skill.isMatch) ?? [];
+  const highlighted = experiences.filter((experience) => match?.highlights.has(experience.id));
+
+  return (
+    <div className="job-match">
+      <button
+        ref={triggerRef}
+        type="button"
+        className="accordion-toolbar-button job-match-trigger"
+        aria-haspopup="dialog"
+        onClick={openDialog}
+      >
+        {t(match ? 'jobMatch.edit' : 'jobMatch.open')}
+      </button>
+
+      {match && (
+        <section className="job-match-summary" aria-label={t('jobMatch.region')}>
+          <p className="job-match-score" role="status">
+            {match.score === null ? t('jobMatch.noSkills') : t('jobMatch.score', { score: match.score })}
+          </p>
+          {matched.length > 0 && (
+            <SkillList className="is-matched" title={t('jobMatch.matched', { count: matched.length })} skills={matched} />
+          )}
+          {missing.length > 0 && (
+            <SkillList className="is-missing" title={t('jobMatch.missing', { count: missing.length })} skills={missing} />
+          )}
+          {match.keywords.length > 0 && (
+            <p className="job-match-keywords">
+              {t('jobMatch.keywords', { keywords: match.keywords.map((keyword) => keyword.word).join(', ') })}
+            </p>
+          )}
+          {highlighted.length > 0 && (
+            <p className="job-match-experience">
+              {t('jobMatch.highlighted')}{' '}
+              {highlighted.map((experience, index) => (
+                <span key={experience.id}>
+                  {index > 0 && ', '}
+                  <a href={`#work/${experience.id}`}>
+                    {t('jobMatch.bullets', { company: experience.company, count: match.highlights.get(experience.id).size })}
+                  </a>
+                </span>
+              ))}
+            </p>
+          )}
+          <button type="button" className="skill-filter-button" onClick={handleClear}>
+            {t('jobMatch.clear')}
+          </button>
+        </section>
+      )}
+
+      <Dialog
+        isOpen={isOpen}
+        onClose={() => setIsOpen(false)}
+        className="job-match-dialog"
+        labelledBy={titleId}
+        describedBy={hintId}
+        initialFocusRef={inputRef}
+      >
+        <form onSubmit={handleSubmit}>
+          <button type="button" className="egg-close" onClick={() => setIsOpen(false)} aria-label={t('jobMatch.close')}>
+            ✕
+          </button>
+          <h3 id={titleId} className="job-match-title">{t('jobMatch.title')}</h3>
+          <div className="contact-form-field">
+            <label htmlFor={inputId}>{t('jobMatch.inputLabel')}</label>
+            <textarea
+              ref={inputRef}
+              id={inputId}
+              rows={10}
+              value={draft}
+              placeholder={t('jobMatch.placeholder')}
+              aria-describedby={hintId}
+              onChange={(event) => setDraft(event.target.value)}
+            />
+          </div>
+          <p id={hintId} className="job-match-privacy">{t('jobMatch.privacy')}</p>
+          <div className="job-match-actions">
+            <button type="button" className="btn btn-outline" onClick={() => setIsOpen(false)}>
+              {t('jobMatch.cancel')}
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={!draft.trim()}>
+              {t('jobMatch.submit')}
+            </button>
+          </div>
+        </form>
+      </Dialog>
+    </div>
+  );
+};
+
+export default JobMatch;
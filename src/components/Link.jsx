@@ -0,0 +1,30 @@
+import { useI18n } from '../i18n/context.js';
+import { localizePath } from '../i18n/locales.js';
+import { navigate } from '../router/history.js';
+
+const isModifiedClick = (event) => (
+  event.button !== 0 || event.metaKey || event.altKey || event.ctrlKey || event.shiftKey
+);
+
+// `to` is a locale-neutral path; it is prefixed for the active locale unless
+// `locale` asks for a specific one.
+const Link = ({ to, locale, replace = false, onClick, elementRef, children, ...rest }) => {
+  const i18n = useI18n();
+  const href = localizePath(to, locale ?? i18n.locale);
+
+  const handleClick = (event) => {
+    onClick?.(event);
+    if (event.defaultPrevented || isModifiedClick(event) || rest.target === '_blank') return;
+
+    event.preventDefault();
+    navigate(href, { replace });
+  };
+
+  return (
+    <a ref={elementRef} href={href} onClick={handleClick} {...rest}>
+      {children}
+    </a>
+  );
+};
+
+export default Link;
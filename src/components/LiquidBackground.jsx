@@ -1,14 +1,160 @@
-import React from 'react';
+import { useEffect, useRef } from 'react';
+import { approach, layoutBlobs } from '../background/blobs.js';
+import { createMetaballRenderer } from '../background/metaballs.js';
+import { createQualityGovernor } from '../background/quality.js';
+import { useReducedMotionPreference } from '../motion/motionStore.js';
+import { useResolvedTheme } from '../theme/themeStore.js';
 import './LiquidBackground.css';
 
+const MAX_PIXEL_RATIO = 1.5;
+const POINTER_EASING = 0.06;
+
+const parseHex = (value) => {
+  const hex = value.trim().replace('#', '');
+  return [0, 2, 4].map((offset) => Number.parseInt(hex.slice(offset, offset + 2), 16) / 255);
+};
+
+const readPalette = () => {
+  const styles = getComputedStyle(document.documentElement);
+  return {
+    colors: [parseHex(styles.getPropertyValue('--az-red')), parseHex(styles.getPropertyValue('--az-navy'))],
+    opacity: Number.parseFloat(styles.getPropertyValue('--liquid-opacity')) || 0.5
+  };
+};
+
+const readScroll = () => {
+  const max = document.documentElement.scrollHeight - window.innerHeight;
+  return max > 0 ? Math.min(1, window.scrollY / max) : 0;
+};
+
+/**
+ * Metaball blobs in the site palette, drawn with WebGL behind the page. They
+ * drift, trail the pointer and shift with scrolling. The CSS blobs in the
+ * markup are the fallback: they show until WebGL takes over and come back if
+ * it is unavailable, loses its context or cannot keep a usable frame rate.
+ * Under reduced motion a single static frame is drawn.
+ */
 const LiquidBackground = () => {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const prefersReducedMotion = useReducedMotionPreference();
+  const theme = useResolvedTheme();
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (theme === 'high-contrast') return undefined;
+
+    let renderer = null;
+    let frameId = null;
+    let lastTime = null;
+    let pointer = null;
+    let pointerTarget = null;
+    let scroll = readScroll();
+    const governor = createQualityGovernor();
+    const palette = readPalette();
+
+    const stop = () => {
+      window.cancelAnimationFrame(frameId);
+      frameId = null;
+    };
+
+    const fallBack = () => {
+      stop();
+      renderer?.destroy();
+      renderer = null;
+      container.dataset.renderer = 'css';
+    };
+
+    renderer = createMetaballRenderer(canvasRef.current, { onContextLost: fallBack });
+    if (!renderer) return undefined;
+    container.dataset.renderer = 'webgl';
+
+    const draw = (time) => {
+      renderer.draw(layoutBlobs(time, { pointer, scroll }, window.innerWidth, window.innerHeight), palette);
+    };
+
+    const resize = () => {
+      if (!renderer) return;
+      const pixelRatio = Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO);
+      renderer.resize(window.innerWidth, window.innerHeight, pixelRatio * governor.scale);
+      governor.reset();
+    };
+
+    resize();
+
+    if (prefersReducedMotion) {
+      draw(0);
+      const onResize = () => {
+        resize();
+        draw(0);
+      };
+      window.addEventListener('resize', onResize);
+      return () => {
+        window.removeEventListener('resize', onResize);
+        fallBack();
+      };
+    }
+
+    const frame = (time) => {
+      if (lastTime !== null) {
+        const verdict = governor.sample(time - lastTime);
+        if (verdict === 'give-up') {
+          fallBack();
+          return;
+        }
+        if (verdict) resize();
+      }
+      lastTime = time;
+      if (pointerTarget) pointer = approach(pointer ?? pointerTarget, pointerTarget, POINTER_EASING);
+      draw(time);
+      frameId = window.requestAnimationFrame(frame);
+    };
+
+    const start = () => {
+      if (!renderer || frameId !== null || document.hidden) return;
+      lastTime = null;
+      frameId = window.requestAnimationFrame(frame);
+    };
+
+    const onVisibilityChange = () => {
+      if (document.hidden) {
+        stop();
+        return;
+      }
+      governor.reset();
+      start();
+    };
+
+    const onPointerMove = (event) => {
+      pointerTarget = { x: event.clientX / window.innerWidth, y: event.clientY / window.innerHeight };
+    };
+
+    const onScroll = () => {
+      scroll = readScroll();
+    };
+
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    window.addEventListener('pointermove', onPointerMove, { passive: true });
+    window.addEventListener('scroll', onScroll, { passive: true });
+    window.addEventListener('resize', resize);
+    start();
+
+    return () => {
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      window.removeEventListener('pointermove', onPointerMove);
+      window.removeEventListener('scroll', onScroll);
+      window.removeEventListener('resize', resize);
+      fallBack();
+    };
+  }, [prefersReducedMotion, theme]);
+
   return (
-    <div className="liquid-background">
-      <div className="blob blob-1"></div>
-      <div className="blob blob-2"></div>
-      <div className="blob blob-3"></div>
-      <div className="blob blob-4"></div>
-      <div className="overlay"></div>
+    <div ref={containerRef} className="liquid-background" data-renderer="css" aria-hidden="true">
+      <canvas ref={canvasRef} className="liquid-canvas" />
+      <div className="blob blob-1" />
+      <div className="blob blob-2" />
+      <div className="blob blob-3" />
+      <div className="blob blob-4" />
     </div>
   );
 };
@@ -0,0 +1,53 @@
+import { useId } from 'react';
+import useDisclosure from '../hooks/useDisclosure.js';
+import { useI18n } from '../i18n/context.js';
+import { LOCALE_CODES, LOCALES } from '../i18n/locales.js';
+import Link from './Link.jsx';
+
+/** Links to the current page (`pathname` is unprefixed) in every locale. */
+const LocaleMenu = ({ pathname, search = '', hash = '' }) => {
+  const { isOpen, containerRef, buttonRef, toggle, close } = useDisclosure();
+  const { locale, t } = useI18n();
+  const listId = useId();
+
+  return (
+    <div ref={containerRef} className="resume-menu locale-menu">
+      <button
+        ref={buttonRef}
+        type="button"
+        className="nav-link nav-button"
+        aria-expanded={isOpen}
+        aria-controls={listId}
+        aria-label={t('nav.language', { language: LOCALES[locale].label })}
+        onClick={toggle}
+      >
+        {LOCALES[locale].shortLabel}
+        <svg className="resume-menu-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+          <polyline points="6 9 12 15 18 9" />
+        </svg>
+      </button>
+      {isOpen && (
+        <ul id={listId} className="resume-menu-list" aria-label={t('nav.languageMenu')}>
+          {LOCALE_CODES.map((code) => (
+            <li key={code}>
+              <Link
+                to={`${pathname}${search}${hash}`}
+                locale={code}
+                lang={LOCALES[code].htmlLang}
+                hrefLang={LOCALES[code].htmlLang}
+                aria-current={code === locale ? 'page' : undefined}
+                className="resume-menu-link"
+                onClick={close}
+              >
+                {LOCALES[code].label}
+                {code === locale && <span className="resume-menu-ext" aria-hidden="true">✓</span>}
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LocaleMenu;
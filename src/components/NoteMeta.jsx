@@ -0,0 +1,45 @@
+import { useI18n } from '../i18n/context.js';
+import { NOTES_PATH } from '../notes/feeds.js';
+import { noteTagId } from '../notes/tags.js';
+import { getSkillIndex } from '../skills/skillIndex.js';
+import Link from './Link.jsx';
+
+/**
+ * Date, reading time, draft badge and tag links for a note. Tags link to the
+ * notes list filtered by that skill; `activeTag` marks the current filter.
+ */
+const NoteMeta = ({ note, activeTag = null }) => {
+  const { t, locale, formatDate } = useI18n();
+  const index = getSkillIndex(locale);
+
+  return (
+    <div className="note-meta">
+      <p className="note-details">
+        <time dateTime={note.date}>{formatDate(note.date)}</time>
+        {note.updated && (
+          <span>{t('notes.updated', { date: formatDate(note.updated) })}</span>
+        )}
+        <span>{t('notes.readingTime', { count: note.readingMinutes })}</span>
+        {note.draft && <span className="note-draft">{t('notes.draft')}</span>}
+      </p>
+      <ul className="accordion-tags note-tags">
+        {note.tags.map((tag) => {
+          const id = noteTagId(tag, index);
+          return (
+            <li key={tag}>
+              <Link
+                to={`${NOTES_PATH}?tag=${encodeURIComponent(id)}`}
+                className={`accordion-tag note-tag ${id === activeTag ? 'is-active' : ''}`.trim()}
+                aria-current={id === activeTag ? 'true' : undefined}
+              >
+                {index.labelOf(id)}
+              </Link>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default NoteMeta;
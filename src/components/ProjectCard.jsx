@@ -0,0 +1,32 @@
+import useReveal from '../hooks/useReveal.js';
+import { useI18n } from '../i18n/context.js';
+import Link from './Link.jsx';
+
+const ProjectCard = ({ slug, title, summary, stack, variant = 'up', delay = 0, threshold = 0.1 }) => {
+  const [animationRef, isVisible, revealDelay] = useReveal({ threshold, delay });
+  const { t } = useI18n();
+
+  return (
+    <Link
+      to={`/projects/${slug}`}
+      elementRef={animationRef}
+      className={`project-card animate-on-scroll ${isVisible ? 'visible' : ''}`}
+      data-variant={variant}
+      style={{ '--reveal-delay': `${revealDelay}ms` }}
+    >
+      <h3 className="project-title">{title}</h3>
+      <p className="project-summary">{summary}</p>
+      <div className="project-stack">
+        {stack.map((tag) => (
+          <span key={tag} className="accordion-tag">{tag}</span>
+        ))}
+      </div>
+      <span className="project-cta">
+        {t('projects.readCaseStudy')}
+        <span aria-hidden="true">→</span>
+      </span>
+    </Link>
+  );
+};
+
+export default ProjectCard;
@@ -0,0 +1,32 @@
+import { useMemo } from 'react';
+import { encode } from 'uqr';
+
+/**
+ * `value` as a QR code, encoded in the browser and drawn as one SVG path of
+ * dark modules. The quiet zone is part of the viewBox, so the code scans on
+ * any background the surrounding element gives it.
+ */
+const QrCode = ({ value, label, className }) => {
+  const { size, path } = useMemo(() => {
+    const { data, size: moduleCount } = encode(value, { ecc: 'M', border: 0 });
+    const commands = data.flatMap((row, y) => row
+      .map((dark, x) => (dark ? `M${x} ${y}h1v1h-1z` : ''))
+      .filter(Boolean));
+    return { size: moduleCount, path: commands.join('') };
+  }, [value]);
+
+  return (
+    <svg
+      className={className}
+      viewBox={`-4 -4 ${size + 8} ${size + 8}`}
+      role="img"
+      aria-label={label}
+      shapeRendering="crispEdges"
+    >
+      <rect x="-4" y="-4" width={size + 8} height={size + 8} fill="#ffffff" />
+      <path d={path} fill="#000000" />
+    </svg>
+  );
+};
+
+export default QrCode;
@@ -0,0 +1,43 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * A bar along the bottom of the nav showing how far down the page the reader
+ * is. It is updated straight on the element once per frame, so scrolling
+ * never re-renders React. Watching the body's size catches new pages and
+ * expanding content.
+ */
+const ReadingProgress = () => {
+  const barRef = useRef(null);
+
+  useEffect(() => {
+    let frame = 0;
+
+    const update = () => {
+      frame = 0;
+      const { scrollHeight, clientHeight } = document.documentElement;
+      const scrollable = scrollHeight - clientHeight;
+      const progress = scrollable > 0 ? Math.min(window.scrollY / scrollable, 1) : 0;
+      barRef.current?.style.setProperty('--reading-progress', progress.toFixed(4));
+    };
+
+    const schedule = () => {
+      if (!frame) frame = window.requestAnimationFrame(update);
+    };
+
+    const resizeObserver = new ResizeObserver(schedule);
+    resizeObserver.observe(document.body);
+    update();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    return () => {
+      window.cancelAnimationFrame(frame);
+      resizeObserver.disconnect();
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+    };
+  }, []);
+
+  return <div ref={barRef} className="nav-progress" aria-hidden="true" />;
+};
+
+export default ReadingProgress;
@@ -0,0 +1,53 @@
+import { useId } from 'react';
+import { site } from 'virtual:content';
+import useDisclosure from '../hooks/useDisclosure.js';
+import { useI18n } from '../i18n/context.js';
+import { RESUME_FORMATS, resumeFileName } from '../resume/formats.js';
+
+const ResumeMenu = ({
+  label,
+  buttonClassName = 'btn btn-outline',
+  align = 'end'
+}) => {
+  const { isOpen, containerRef, buttonRef, toggle, close } = useDisclosure();
+  const listId = useId();
+  const { t } = useI18n();
+
+  return (
+    <div ref={containerRef} className="resume-menu" data-align={align}>
+      <button
+        ref={buttonRef}
+        type="button"
+        className={buttonClassName}
+        aria-expanded={isOpen}
+        aria-controls={listId}
+        onClick={toggle}
+      >
+        {label ?? t('resume.download')}
+        <svg className="resume-menu-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+          <polyline points="6 9 12 15 18 9" />
+        </svg>
+      </button>
+      {isOpen && (
+        <ul id={listId} className="resume-menu-list" aria-label={t('resume.formatsLabel')}>
+          {RESUME_FORMATS.map((format) => (
+            <li key={format.id}>
+              <a
+                href={format.path}
+                download={resumeFileName(site.name, format)}
+                type={format.mimeType}
+                className="resume-menu-link"
+                onClick={close}
+              >
+                {t(`resume.formats.${format.id}`)}
+                <span className="resume-menu-ext">.{format.extension}</span>
+              </a>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ResumeMenu;
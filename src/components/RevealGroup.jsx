@@ -0,0 +1,14 @@
+import { useMemo } from 'react';
+import { RevealGroupContext } from '../motion/revealContext.js';
+
+/**
+ * Staggers the reveals inside it: elements coming into view together are
+ * delayed `stagger` ms apart in page order, by at most `maxSteps` steps.
+ * Renders no element of its own.
+ */
+const RevealGroup = ({ stagger = 100, maxSteps = Infinity, children }) => {
+  const group = useMemo(() => ({ stagger, maxSteps }), [stagger, maxSteps]);
+  return <RevealGroupContext.Provider value={group}>{children}</RevealGroupContext.Provider>;
+};
+
+export default RevealGroup;
@@ -0,0 +1,11 @@
+import { useState } from 'react';
+import { createRevealController } from '../motion/reveal.js';
+import { RevealContext } from '../motion/revealContext.js';
+
+/** Shares one reveal controller with every useReveal() below it. */
+const RevealProvider = ({ children }) => {
+  const [controller] = useState(createRevealController);
+  return <RevealContext.Provider value={controller}>{children}</RevealContext.Provider>;
+};
+
+export default RevealProvider;
@@ -0,0 +1,132 @@
+import { useId, useState } from 'react';
+import { createInvite, inviteUid } from '../availability/ics.js';
+import { groupSlotsByDay, meetingSlots } from '../availability/slots.js';
+import { downloadFile } from '../contact/download.js';
+import useDisclosure from '../hooks/useDisclosure.js';
+import { useI18n } from '../i18n/context.js';
+
+/**
+ * "Schedule a chat": a popover listing the open slots from `meetings` (see
+ * site.json) in the visitor's own time zone. Picking one offers an .ics
+ * invite built in the browser and a prefilled email to confirm it; nothing is
+ * booked anywhere else. Slots are worked out when the popover opens, so the
+ * prerendered page never depends on the build's clock.
+ */
+const ScheduleChat = ({ meetings }) => {
+  const { t, intlLocale, content: { site } } = useI18n();
+  const { isOpen, containerRef, buttonRef, toggle } = useDisclosure();
+  const panelId = useId();
+  const [picker, setPicker] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  const handleToggle = () => {
+    if (!isOpen) {
+      setPicker({
+        slots: meetingSlots(meetings, Date.now()),
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+      });
+      setSelected(null);
+    }
+    toggle();
+  };
+
+  const dayFormat = new Intl.DateTimeFormat(intlLocale, { weekday: 'long', month: 'long', day: 'numeric' });
+  const timeFormat = new Intl.DateTimeFormat(intlLocale, { timeStyle: 'short' });
+  const ownerTimeFormat = new Intl.DateTimeFormat(intlLocale, { timeStyle: 'short', timeZone: meetings.timeZone });
+
+  const describeSlot = (slot) => ({
+    day: dayFormat.format(slot.start),
+    time: timeFormat.format(slot.start),
+    timeZone: picker.timeZone
+  });
+
+  const downloadInvite = () => {
+    const { host } = new URL(site.url);
+    const invite = createInvite({
+      uid: inviteUid(selected.start, host),
+      start: selected.start,
+      end: selected.end,
+      summary: t('availability.inviteSummary', { name: site.name }),
+      description: t('availability.inviteDescription', { duration: meetings.durationMinutes, url: host }),
+      url: site.url,
+      organizer: { name: site.name, email: site.email }
+    });
+    downloadFile('chat.ics', 'text/calendar', invite);
+  };
+
+  const mailHref = () => {
+    const details = describeSlot(selected);
+    const subject = t('availability.mailSubject', details);
+    const body = t('availability.mailBody', {
+      ...details,
+      firstName: site.firstName,
+      ownerTime: ownerTimeFormat.format(selected.start)
+    });
+    return `mailto:${site.email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+  };
+
+  return (
+    <div ref={containerRef} className="resume-menu schedule-chat" data-align="center">
+      <button
+        ref={buttonRef}
+        type="button"
+        className="schedule-chat-button"
+        aria-expanded={isOpen}
+        aria-controls={panelId}
+        onClick={handleToggle}
+      >
+        {t('availability.schedule')}
+        <svg className="resume-menu-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+          <polyline points="6 9 12 15 18 9" />
+        </svg>
+      </button>
+      {isOpen && picker && (
+        <div id={panelId} className="resume-menu-list schedule-chat-panel">
+          {selected ? (
+            <>
+              <p className="schedule-chat-selected">{t('availability.selected', describeSlot(selected))}</p>
+              <div className="schedule-chat-actions">
+                {/* The slot that had focus is gone, so focus moves to the next step. */}
+                <button type="button" className="btn btn-primary" onClick={downloadInvite} autoFocus>
+                  {t('availability.downloadInvite')}
+                </button>
+                <a href={mailHref()} className="btn btn-outline">{t('availability.sendEmail')}</a>
+                <button type="button" className="schedule-chat-back" onClick={() => setSelected(null)}>
+                  {t('availability.back')}
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <p className="schedule-chat-intro">
+                {picker.slots.length > 0
+                  ? t('availability.pickTime', { duration: meetings.durationMinutes, timeZone: picker.timeZone })
+                  : t('availability.noSlots')}
+              </p>
+              {groupSlotsByDay(picker.slots, (date) => dayFormat.format(date)).map((day) => (
+                <fieldset key={day.label} className="schedule-chat-day">
+                  <legend>{day.label}</legend>
+                  <div className="schedule-chat-times">
+                    {day.slots.map((slot) => (
+                      <button
+                        key={slot.start.getTime()}
+                        type="button"
+                        className="schedule-chat-slot"
+                        aria-label={t('availability.slotLabel', describeSlot(slot))}
+                        onClick={() => setSelected(slot)}
+                      >
+                        {timeFormat.format(slot.start)}
+                      </button>
+                    ))}
+                  </div>
+                </fieldset>
+              ))}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScheduleChat;
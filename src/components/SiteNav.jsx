@@ -0,0 +1,118 @@
+import { useEffect, useId, useRef, useState } from 'react';
+import useFocusTrap from '../hooks/useFocusTrap.js';
+import { useI18n } from '../i18n/context.js';
+import { NAV_SECTIONS, scrollToElement, useActiveSection } from '../nav/sections.js';
+import { NOTES_PATH } from '../notes/feeds.js';
+import { useLocation } from '../router/history.js';
+import CommandPalette from './CommandPalette.jsx';
+import Link from './Link.jsx';
+import LocaleMenu from './LocaleMenu.jsx';
+import ReadingProgress from './ReadingProgress.jsx';
+import ResumeMenu from './ResumeMenu.jsx';
+import ThemeMenu from './ThemeMenu.jsx';
+
+// Matches the breakpoint in index.css below which the links collapse.
+const COLLAPSED_QUERY = '(max-width: 960px)';
+
+const isModifiedClick = (event) => (
+  event.button !== 0 || event.metaKey || event.altKey || event.ctrlKey || event.shiftKey
+);
+
+/**
+ * The fixed site header. On the home page the link for the section being read
+ * is marked with `aria-current`; on narrow screens the links collapse into a
+ * menu that traps focus and closes on Escape or any navigation. `pathname` is
+ * the unprefixed path of the current page.
+ */
+const SiteNav = ({ pathname }) => {
+  const { t, content: { site } } = useI18n();
+  const { href, search, hash } = useLocation();
+  const activeSection = useActiveSection(pathname);
+  const navRef = useRef(null);
+  const menuButtonRef = useRef(null);
+  const menuId = useId();
+  // The menu belongs to the location it was opened on, so navigating closes it.
+  const [menuOpenAt, setMenuOpenAt] = useState(null);
+  const isMenuOpen = menuOpenAt === href;
+  const closeMenu = () => setMenuOpenAt(null);
+
+  useFocusTrap(navRef, isMenuOpen);
+
+  useEffect(() => {
+    if (!isMenuOpen) return undefined;
+
+    const query = window.matchMedia(COLLAPSED_QUERY);
+    const onQueryChange = () => {
+      if (!query.matches) setMenuOpenAt(null);
+    };
+    // An open popover inside the menu takes the first Escape.
+    const onKeyDown = (event) => {
+      if (event.key !== 'Escape' || event.defaultPrevented) return;
+      if (navRef.current?.querySelector('.resume-menu [aria-expanded="true"]')) return;
+      setMenuOpenAt(null);
+      menuButtonRef.current?.focus();
+    };
+
+    query.addEventListener('change', onQueryChange);
+    document.addEventListener('keydown', onKeyDown);
+    return () => {
+      query.removeEventListener('change', onQueryChange);
+      document.removeEventListener('keydown', onKeyDown);
+    };
+  }, [isMenuOpen]);
+
+  // Following a link to the section already in the URL changes nothing, so
+  // scroll back to it here.
+  const handleSectionClick = (event, id) => {
+    closeMenu();
+    if (pathname !== '/' || hash !== `#${id}` || isModifiedClick(event)) return;
+    event.preventDefault();
+    scrollToElement(document.getElementById(id));
+  };
+
+  const sectionLinkProps = (id) => ({
+    to: `/#${id}`,
+    'aria-current': activeSection === id ? 'location' : undefined,
+    onClick: (event) => handleSectionClick(event, id)
+  });
+
+  return (
+    <nav ref={navRef} className={`nav ${isMenuOpen ? 'is-menu-open' : ''}`.trim()}>
+      <Link to="/" className="nav-logo" aria-label={t('nav.home', { name: site.name })} onClick={closeMenu}>
+        JC<span>.</span>
+      </Link>
+      <button
+        ref={menuButtonRef}
+        type="button"
+        className="nav-menu-button"
+        aria-expanded={isMenuOpen}
+        aria-controls={menuId}
+        aria-label={t(isMenuOpen ? 'nav.closeMenu' : 'nav.openMenu')}
+        onClick={() => setMenuOpenAt(isMenuOpen ? null : href)}
+      >
+        <span className="nav-menu-icon" aria-hidden="true" />
+      </button>
+      <div id={menuId} className="nav-links">
+        {NAV_SECTIONS.filter((id) => id !== 'contact').map((id) => (
+          <Link key={id} className="nav-link" {...sectionLinkProps(id)}>{t(`nav.${id}`)}</Link>
+        ))}
+        <Link
+          to={NOTES_PATH}
+          className="nav-link"
+          aria-current={pathname.startsWith(NOTES_PATH) ? 'page' : undefined}
+          onClick={closeMenu}
+        >
+          {t('nav.notes')}
+        </Link>
+        <ResumeMenu label={t('nav.resume')} buttonClassName="nav-link nav-button" />
+        <CommandPalette pathname={pathname} />
+        <ThemeMenu />
+        <LocaleMenu pathname={pathname} search={search} hash={hash} />
+        <Link className="btn btn-primary nav-cta" {...sectionLinkProps('contact')}>{t('nav.contact')}</Link>
+      </div>
+      <ReadingProgress />
+    </nav>
+  );
+};
+
+export default SiteNav;
@@ -0,0 +1,27 @@
+import useReveal from '../hooks/useReveal.js';
+import SkillToggle from './SkillToggle.jsx';
+
+const SkillCard = ({ title, skills, skillFilter, variant = 'up', delay = 0, threshold = 0.1 }) => {
+  const [animationRef, isVisible, revealDelay] = useReveal({ threshold, delay });
+  const { activeId, index } = skillFilter;
+  const hasMatch = activeId && skills.some((skill) => index.related(activeId).has(index.idOf(skill)));
+  const filterClass = activeId ? (hasMatch ? 'is-filter-match' : 'is-filter-dimmed') : '';
+
+  return (
+    <div
+      ref={animationRef}
+      className={`skill-card animate-on-scroll ${isVisible ? 'visible' : ''} ${filterClass}`}
+      data-variant={variant}
+      style={{ '--reveal-delay': `${revealDelay}ms` }}
+    >
+      <h3 className="skill-title">{title}</h3>
+      <div className="skill-items">
+        {skills.map((skill) => (
+          <SkillToggle key={skill} label={skill} className="skill-pill" skillFilter={skillFilter} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SkillCard;
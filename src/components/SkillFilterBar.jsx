@@ -0,0 +1,43 @@
+import { useI18n } from '../i18n/context.js';
+import { scrollToElement } from '../nav/sections.js';
+import { matchExperience } from '../skills/skillIndex.js';
+
+/** Shows the active skill filter, how many experiences it matches and a way out. */
+const SkillFilterBar = ({ skillFilter, experiences }) => {
+  const { t } = useI18n();
+  const { activeId, index, setSkillFilter } = skillFilter;
+  if (!activeId) return null;
+
+  const synonyms = [...index.related(activeId)]
+    .filter((id) => id !== activeId)
+    .map((id) => index.labelOf(id));
+  const matches = experiences.filter((experience) => matchExperience(experience, activeId, index).isMatch);
+
+  return (
+    <div className="skill-filter-bar" role="region" aria-label={t('skillFilter.region')}>
+      <p className="skill-filter-summary" aria-live="polite">
+        {t.parts('skillFilter.active', { skill: <strong key="skill">{index.labelOf(activeId)}</strong> })}
+        {synonyms.length > 0 && (
+          <span className="skill-filter-synonyms">{t('skillFilter.synonyms', { skills: synonyms.join(', ') })}</span>
+        )}
+        <span className="skill-filter-count">
+          {t('skillFilter.matches', { count: matches.length, total: experiences.length })}
+        </span>
+      </p>
+      <div className="skill-filter-actions">
+        <button
+          type="button"
+          className="skill-filter-button"
+          onClick={() => scrollToElement(document.getElementById('work'))}
+        >
+          {t('skillFilter.showWork')}
+        </button>
+        <button type="button" className="skill-filter-button is-primary" onClick={() => setSkillFilter(null)}>
+          {t('skillFilter.clear')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SkillFilterBar;
@@ -0,0 +1,24 @@
+/**
+ * A skill pill or tag that turns the skill filter on or off. While a filter is
+ * active, labels it covers (the skill or a synonym) are highlighted and the
+ * rest are dimmed.
+ */
+const SkillToggle = ({ label, className, skillFilter }) => {
+  const { activeId, index, toggleSkill } = skillFilter;
+  const id = index.idOf(label);
+  const isRelated = Boolean(activeId) && index.related(activeId).has(id);
+  const filterClass = activeId ? (isRelated ? 'is-filter-match' : 'is-filter-dimmed') : '';
+
+  return (
+    <button
+      type="button"
+      className={`${className} skill-toggle ${filterClass}`}
+      aria-pressed={activeId === id}
+      onClick={() => toggleSkill(id)}
+    >
+      {label}
+    </button>
+  );
+};
+
+export default SkillToggle;
@@ -0,0 +1,38 @@
+import { useI18n } from '../i18n/context.js';
+
+const initials = (name) => name
+  .split(/\s+/)
+  .filter(Boolean)
+  .map((part) => part[0])
+  .slice(0, 2)
+  .join('')
+  .toUpperCase();
+
+/**
+ * A testimonial entry as a quote and who said it. Without an avatar image the
+ * person's initials stand in.
+ */
+const Testimonial = ({ quote, name, title, organization, avatar, className = '' }) => {
+  const { t } = useI18n();
+
+  return (
+    <figure className={`testimonial ${className}`}>
+      <blockquote className="testimonial-quote">
+        <p>{quote}</p>
+      </blockquote>
+      <figcaption className="testimonial-author">
+        {avatar ? (
+          <img className="testimonial-avatar" src={avatar} alt="" width="40" height="40" loading="lazy" decoding="async" />
+        ) : (
+          <span className="testimonial-avatar" aria-hidden="true">{initials(name)}</span>
+        )}
+        <span className="testimonial-byline">
+          <span className="testimonial-name">{name}</span>
+          <span className="testimonial-title">{t('testimonials.byline', { title, organization })}</span>
+        </span>
+      </figcaption>
+    </figure>
+  );
+};
+
+export default Testimonial;
@@ -0,0 +1,145 @@
+import { useEffect, useRef, useState } from 'react';
+import { useI18n } from '../i18n/context.js';
+import { useReducedMotionPreference } from '../motion/motionStore.js';
+import Testimonial from './Testimonial.jsx';
+
+const AUTO_ADVANCE_MS = 8000;
+// Horizontal travel, in px, that counts as a swipe rather than a tap.
+const SWIPE_DISTANCE = 40;
+
+/**
+ * Testimonials one at a time, following the WAI-ARIA carousel pattern. It
+ * moves on by itself every few seconds unless the visitor has stopped it,
+ * is pointing at or focused inside it, or prefers reduced motion. Previous,
+ * Next and the dots move by hand, as do the arrow keys and swiping.
+ */
+const TestimonialCarousel = ({ testimonials }) => {
+  const { t } = useI18n();
+  const isMotionReduced = useReducedMotionPreference();
+  const [index, setIndex] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(true);
+  const [isHovered, setIsHovered] = useState(false);
+  const [hasFocus, setHasFocus] = useState(false);
+  const swipeRef = useRef(null);
+  const count = testimonials.length;
+  const isRotating = count > 1 && isPlaying && !isHovered && !hasFocus && !isMotionReduced;
+
+  useEffect(() => {
+    if (!isRotating) return undefined;
+    const timeoutId = window.setTimeout(() => setIndex((current) => (current + 1) % count), AUTO_ADVANCE_MS);
+    return () => window.clearTimeout(timeoutId);
+  }, [isRotating, index, count]);
+
+  const goTo = (position) => setIndex((position + count) % count);
+
+  const handleKeyDown = (event) => {
+    const moves = { ArrowLeft: index - 1, ArrowRight: index + 1, Home: 0, End: count - 1 };
+    if (count < 2 || !(event.key in moves) || event.defaultPrevented) return;
+    event.preventDefault();
+    goTo(moves[event.key]);
+  };
+
+  const handlePointerUp = (event) => {
+    const start = swipeRef.current;
+    swipeRef.current = null;
+    if (!start || start.pointerId !== event.pointerId) return;
+    const dx = event.clientX - start.x;
+    const dy = event.clientY - start.y;
+    if (Math.abs(dx) < SWIPE_DISTANCE || Math.abs(dx) < Math.abs(dy)) return;
+    goTo(dx < 0 ? index + 1 : index - 1);
+  };
+
+  return (
+    <section
+      className="testimonials"
+      aria-roledescription="carousel"
+      aria-label={t('testimonials.label')}
+      onKeyDown={handleKeyDown}
+      onMouseEnter={() => setIsHovered(true)}
+      onMouseLeave={() => setIsHovered(false)}
+      onFocus={() => setHasFocus(true)}
+      onBlur={(event) => {
+        if (!event.currentTarget.contains(event.relatedTarget)) setHasFocus(false);
+      }}
+    >
+      {count > 1 && !isMotionReduced && (
+        <button
+          type="button"
+          className="testimonials-rotation"
+          aria-label={t(isPlaying ? 'testimonials.stop' : 'testimonials.start')}
+          onClick={() => setIsPlaying((playing) => !playing)}
+        >
+          <svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+            {isPlaying ? <path d="M7 5h3v14H7zM14 5h3v14h-3z" /> : <path d="M8 5v14l11-7z" />}
+          </svg>
+        </button>
+      )}
+
+      <div
+        className="testimonials-viewport"
+        onPointerDown={(event) => {
+          swipeRef.current = { pointerId: event.pointerId, x: event.clientX, y: event.clientY };
+        }}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => {
+          swipeRef.current = null;
+        }}
+      >
+        <div
+          className="testimonials-track"
+          style={{ '--testimonial-index': index }}
+          aria-live={isRotating ? 'off' : 'polite'}
+        >
+          {testimonials.map((testimonial, position) => (
+            <div
+              key={testimonial.id}
+              id={`testimonial-${testimonial.id}`}
+              className="testimonials-slide"
+              role="group"
+              aria-roledescription="slide"
+              aria-label={t('testimonials.slide', { number: position + 1, total: count })}
+              inert={position !== index}
+            >
+              <Testimonial {...testimonial} />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {count > 1 && (
+        <div className="testimonials-controls">
+          <button
+            type="button"
+            className="testimonials-step"
+            aria-label={t('testimonials.previous')}
+            onClick={() => goTo(index - 1)}
+          >
+            ‹
+          </button>
+          <div className="testimonials-dots" role="group" aria-label={t('testimonials.picker')}>
+            {testimonials.map((testimonial, position) => (
+              <button
+                key={testimonial.id}
+                type="button"
+                className="testimonials-dot"
+                aria-label={t('testimonials.show', { name: testimonial.name })}
+                aria-current={position === index ? 'true' : undefined}
+                onClick={() => goTo(position)}
+              />
+            ))}
+          </div>
+          <button
+            type="button"
+            className="testimonials-step"
+            aria-label={t('testimonials.next')}
+            onClick={() => goTo(index + 1)}
+          >
+            ›
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default TestimonialCarousel;
@@ -0,0 +1,75 @@
+import { useId } from 'react';
+import useDisclosure from '../hooks/useDisclosure.js';
+import { useI18n } from '../i18n/context.js';
+import { setThemePreference, useResolvedTheme, useThemePreference } from '../theme/themeStore.js';
+import { THEME_PREFERENCES } from '../theme/themes.js';
+
+const ICONS = {
+  dark: <path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z" />,
+  light: (
+    <>
+      <circle cx="12" cy="12" r="4" />
+      <path d="M12 2v2M12 20v2M4.93 4.93l1.41 1.41M17.66 17.66l1.41 1.41M2 12h2M20 12h2M4.93 19.07l1.41-1.41M17.66 6.34l1.41-1.41" />
+    </>
+  ),
+  'high-contrast': (
+    <>
+      <circle cx="12" cy="12" r="9" />
+      <path d="M12 3a9 9 0 0 1 0 18z" fill="currentColor" />
+    </>
+  )
+};
+
+const ThemeMenu = () => {
+  const { isOpen, containerRef, buttonRef, toggle, close } = useDisclosure();
+  const preference = useThemePreference();
+  const theme = useResolvedTheme();
+  const listId = useId();
+  const { t } = useI18n();
+  const currentLabel = preference === 'system'
+    ? t('theme.systemResolved', { theme: t(`theme.options.${theme}`) })
+    : t(`theme.options.${preference}`);
+
+  const choose = (value) => {
+    setThemePreference(value);
+    close();
+    buttonRef.current?.focus();
+  };
+
+  return (
+    <div ref={containerRef} className="resume-menu theme-menu">
+      <button
+        ref={buttonRef}
+        type="button"
+        className="nav-link nav-button"
+        aria-expanded={isOpen}
+        aria-controls={listId}
+        aria-label={t('theme.button', { theme: currentLabel })}
+        onClick={toggle}
+      >
+        <svg className="theme-menu-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" aria-hidden="true">
+          {ICONS[theme] ?? ICONS.dark}
+        </svg>
+      </button>
+      {isOpen && (
+        <ul id={listId} className="resume-menu-list" aria-label={t('theme.menu')}>
+          {THEME_PREFERENCES.map((option) => (
+            <li key={option}>
+              <button
+                type="button"
+                className="resume-menu-link theme-menu-option"
+                aria-pressed={preference === option}
+                onClick={() => choose(option)}
+              >
+                {t(`theme.options.${option}`)}
+                {preference === option && <span className="resume-menu-ext" aria-hidden="true">✓</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ThemeMenu;
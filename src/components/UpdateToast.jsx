@@ -0,0 +1,34 @@
+import { useI18n } from '../i18n/context.js';
+import { applyUpdate, dismissUpdate, useUpdateAvailable } from '../pwa/updateStore.js';
+
+/**
+ * Offers to reload when a new deploy has been installed by the service worker.
+ * The live region stays mounted so the message is announced when it appears.
+ */
+const UpdateToast = () => {
+  const { t } = useI18n();
+  const updateAvailable = useUpdateAvailable();
+
+  return (
+    <div className="update-toast-region" role="status" aria-live="polite">
+      {updateAvailable && (
+        <div className="update-toast">
+          <p className="update-toast-text">{t('update.available')}</p>
+          <button type="button" className="btn btn-primary update-toast-reload" onClick={applyUpdate}>
+            {t('update.reload')}
+          </button>
+          <button
+            type="button"
+            className="update-toast-dismiss"
+            onClick={dismissUpdate}
+            aria-label={t('update.dismiss')}
+          >
+            ✕
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UpdateToast;
@@ -0,0 +1,12 @@
+/**
+ * Saves `contents` as a file without a round trip to the server. The object
+ * URL is released once the browser has started the download.
+ */
+export const downloadFile = (fileName, type, contents) => {
+  const href = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = fileName;
+  link.click();
+  window.setTimeout(() => URL.revokeObjectURL(href), 0);
+};
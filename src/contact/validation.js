@@ -0,0 +1,58 @@
+// Contact form rules shared by the in-page form and the `api/contact`
+// function, so both sides reject the same input. Errors are message codes
+// (`contact.errors.<field>.<code>` in the i18n catalogs) so the form can show
+// them in the visitor's language.
+
+export const CONTACT_REASONS = ['job', 'freelance', 'collaboration', 'other'];
+
+export const CONTACT_LIMITS = {
+  name: 100,
+  email: 254,
+  messageMin: 20,
+  messageMax: 5000
+};
+
+// Besides the basic shape, rules out the characters that would break the
+// address out of the `<…>` it is put in for the Reply-To header.
+const EMAIL_PATTERN = /^[^\s@<>",;\\]+@[^\s@<>",;\\]+\.[^\s@<>",;\\]+$/;
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Normalizes raw form input and checks it. Returns the trimmed `values` and an
+ * `errors` object mapping field names to error codes, which is empty when the
+ * input is valid.
+ */
+export const validateContact = (input = {}) => {
+  const values = {
+    name: text(input.name),
+    email: text(input.email),
+    reason: text(input.reason),
+    message: text(input.message)
+  };
+  const errors = {};
+
+  if (!values.name) {
+    errors.name = 'required';
+  } else if (values.name.length > CONTACT_LIMITS.name) {
+    errors.name = 'tooLong';
+  }
+
+  if (!values.email) {
+    errors.email = 'required';
+  } else if (values.email.length > CONTACT_LIMITS.email || !EMAIL_PATTERN.test(values.email)) {
+    errors.email = 'invalid';
+  }
+
+  if (!CONTACT_REASONS.includes(values.reason)) {
+    errors.reason = 'required';
+  }
+
+  if (values.message.length < CONTACT_LIMITS.messageMin) {
+    errors.message = 'tooShort';
+  } else if (values.message.length > CONTACT_LIMITS.messageMax) {
+    errors.message = 'tooLong';
+  }
+
+  return { values, errors };
+};
@@ -0,0 +1,26 @@
+import { escapeText, foldLine } from '../availability/ics.js';
+
+/**
+ * A vCard 3.0 (RFC 2426) for the site owner, built from site.json in the
+ * visitor's language. 3.0 rather than 4.0 because it is the version phone
+ * contact apps import most reliably, from a file or a scanned QR code. The
+ * profile links carry `X-ABLabel`s so they show up as "GitHub" and "LinkedIn".
+ */
+export const createVCard = (site) => [
+  'BEGIN:VCARD',
+  'VERSION:3.0',
+  `N:${escapeText(site.lastName)};${escapeText(site.firstName)};;;`,
+  `FN:${escapeText(site.name)}`,
+  `TITLE:${escapeText(site.title)}`,
+  `EMAIL;TYPE=INTERNET:${site.email}`,
+  `URL:${site.url}`,
+  `item1.URL:${site.links.github}`,
+  'item1.X-ABLabel:GitHub',
+  `item2.URL:${site.links.linkedin}`,
+  'item2.X-ABLabel:LinkedIn',
+  `ADR;TYPE=WORK:;;;${escapeText(site.location)};;;`,
+  'END:VCARD',
+  ''
+].map(foldLine).join('\r\n');
+
+export const vCardFileName = (name) => `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.vcf`;
@@ -0,0 +1,73 @@
+// Open dialogs, innermost last. Only the innermost one takes Escape and keeps
+// focus; everything else on the page, outer dialogs included, is inert behind
+// it, and the page does not scroll while any dialog is open.
+
+const layers = [];
+const listeners = new Set();
+const madeInert = new Set();
+let bodyOverflow = '';
+
+const notify = () => listeners.forEach((listener) => listener());
+
+const onKeyDown = (event) => {
+  if (event.key !== 'Escape' || event.defaultPrevented) return;
+  event.preventDefault();
+  layers.at(-1)?.onClose();
+};
+
+// Leaves alone anything that was inert for some other reason.
+const syncBackground = () => {
+  madeInert.forEach((element) => {
+    element.inert = false;
+  });
+  madeInert.clear();
+
+  const top = layers.at(-1);
+  if (!top) return;
+  [...document.body.children].forEach((element) => {
+    if (element === top.element || element.inert) return;
+    element.inert = true;
+    madeInert.add(element);
+  });
+};
+
+/**
+ * Puts `element`, a dialog's overlay and a direct child of <body>, on top of
+ * the stack. `onClose` runs on Escape while it is the innermost dialog.
+ * Returns the function that takes it off again.
+ */
+export const openLayer = ({ id, element, onClose }) => {
+  if (layers.length === 0) {
+    bodyOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    document.addEventListener('keydown', onKeyDown);
+  }
+
+  const layer = { id, element, onClose };
+  layers.push(layer);
+  element.inert = false;
+  element.style.setProperty('--dialog-level', String(layers.length));
+  syncBackground();
+  notify();
+
+  return () => {
+    layers.splice(layers.indexOf(layer), 1);
+    // The overlay may still be animating out; it takes no more input.
+    element.inert = true;
+    syncBackground();
+    if (layers.length === 0) {
+      document.body.style.overflow = bodyOverflow;
+      document.removeEventListener('keydown', onKeyDown);
+    }
+    notify();
+  };
+};
+
+/** Calls `callback` whenever a dialog opens or closes. Returns the unsubscribe. */
+export const subscribeToLayers = (callback) => {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+};
+
+/** The id of the innermost open dialog, or null. */
+export const getTopLayer = () => layers.at(-1)?.id ?? null;
@@ -0,0 +1,70 @@
+import { useSyncExternalStore } from 'react';
+
+// Which eggs this visitor has found, kept in localStorage as a JSON array of
+// egg ids so the "n of m found" hint survives reloads.
+
+export const DISCOVERY_STORAGE_KEY = 'eggs-discovered';
+
+const DISCOVERY_EVENT = 'app:eggdiscovered';
+const EMPTY = [];
+
+let memoryDiscovered = '[]';
+let cachedRaw = null;
+let cachedIds = EMPTY;
+
+const readRaw = () => {
+  try {
+    return window.localStorage.getItem(DISCOVERY_STORAGE_KEY) ?? '[]';
+  } catch {
+    return memoryDiscovered;
+  }
+};
+
+const parse = (raw) => {
+  try {
+    const ids = JSON.parse(raw);
+    return Array.isArray(ids) ? ids.filter((id) => typeof id === 'string') : EMPTY;
+  } catch {
+    return EMPTY;
+  }
+};
+
+// useSyncExternalStore needs a stable snapshot, so parse only when the stored
+// string changes.
+const getDiscovered = () => {
+  const raw = readRaw();
+  if (raw !== cachedRaw) {
+    cachedRaw = raw;
+    cachedIds = parse(raw);
+  }
+  return cachedIds;
+};
+
+const subscribe = (callback) => {
+  const onStorage = (event) => {
+    if (event.key === DISCOVERY_STORAGE_KEY) callback();
+  };
+
+  window.addEventListener('storage', onStorage);
+  window.addEventListener(DISCOVERY_EVENT, callback);
+  return () => {
+    window.removeEventListener('storage', onStorage);
+    window.removeEventListener(DISCOVERY_EVENT, callback);
+  };
+};
+
+export const recordDiscovery = (id) => {
+  const discovered = getDiscovered();
+  if (discovered.includes(id)) return;
+
+  const raw = JSON.stringify([...discovered, id]);
+  memoryDiscovered = raw;
+  try {
+    window.localStorage.setItem(DISCOVERY_STORAGE_KEY, raw);
+  } catch {
+    // Not persisted; memoryDiscovered keeps it for this visit.
+  }
+  window.dispatchEvent(new Event(DISCOVERY_EVENT));
+};
+
+export const useDiscoveredEggs = () => useSyncExternalStore(subscribe, getDiscovered, () => EMPTY);
@@ -0,0 +1,39 @@
+import { KONAMI_CODE, keySequence, longPress, pulseTaps, typedWord } from './triggers.js';
+
+// The site's easter eggs. Each one pairs a trigger with a reward; the reward's
+// copy lives in the catalogs under `egg.rewards.<id>`. Adding an egg means
+// adding an entry here and its catalog strings.
+
+const COOLDOWN_MS = 30000;
+
+export const EGG_TARGETS = {
+  heroBadge: 'hero-badge',
+  heroName: 'hero-name'
+};
+
+export const createEggs = ({ getPulse }) => [
+  {
+    id: 'signal',
+    trigger: pulseTaps({ target: EGG_TARGETS.heroBadge, count: 6, getPulse }),
+    cooldownMs: COOLDOWN_MS,
+    reward: { icon: '✉' }
+  },
+  {
+    id: 'konami',
+    trigger: keySequence(KONAMI_CODE),
+    cooldownMs: COOLDOWN_MS,
+    reward: { icon: '▲' }
+  },
+  {
+    id: 'hire',
+    trigger: typedWord('hire'),
+    cooldownMs: COOLDOWN_MS,
+    reward: { icon: '✦' }
+  },
+  {
+    id: 'steady',
+    trigger: longPress({ target: EGG_TARGETS.heroName, durationMs: 1500 }),
+    cooldownMs: COOLDOWN_MS,
+    reward: { icon: '◉' }
+  }
+];
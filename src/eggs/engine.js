@@ -0,0 +1,30 @@
+// Runs inputs through every declared egg. An egg is { id, trigger, cooldownMs,
+// reward }; the engine only decides *when* an egg fires, the caller decides
+// what its reward looks like. The clock is injectable so timing can be driven
+// by hand: createEggEngine({ eggs, clock: { now: () => fakeTime } }).
+
+export const systemClock = { now: () => performance.now() };
+
+export const createEggEngine = ({ eggs, clock = systemClock }) => {
+  const cooldownUntil = new Map();
+
+  // Returns the eggs this input completed (usually none).
+  const dispatch = (input) => {
+    const now = clock.now();
+
+    return eggs.filter((egg) => {
+      if (now < (cooldownUntil.get(egg.id) ?? -Infinity)) return false;
+      if (!egg.trigger.handle(input, now)) return false;
+
+      cooldownUntil.set(egg.id, now + (egg.cooldownMs ?? 0));
+      return true;
+    });
+  };
+
+  const reset = () => {
+    cooldownUntil.clear();
+    eggs.forEach((egg) => egg.trigger.reset());
+  };
+
+  return { dispatch, reset };
+};
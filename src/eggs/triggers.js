@@ -0,0 +1,131 @@
+// Trigger factories for the easter egg engine. A trigger is a small state
+// machine: `handle(input, now)` returns true when the input completes it and
+// `reset()` forgets any progress. Time always comes in as `now` (ms) so the
+// rhythm logic never reads a real clock.
+//
+// Inputs are plain objects:
+//   { type: 'tap', target }                    a click/tap on a named target
+//   { type: 'key', key }                       a keydown outside form fields
+//   { type: 'pressstart' | 'pressend' | 'presscancel', target }
+
+const normalizeKey = (key) => (key.length === 1 ? key.toLowerCase() : key);
+
+// Taps that land in the bright part of the hero pulse, one per cycle, in
+// consecutive cycles. `getPulse` returns { startedAt, durationMs } so the
+// period can follow the CSS animation.
+export const pulseTaps = ({ target, count, brightWindow = 0.18, getPulse }) => {
+  let progress = 0;
+  let lastCycle = null;
+
+  const reset = () => {
+    progress = 0;
+    lastCycle = null;
+  };
+
+  const handle = (input, now) => {
+    if (input.type !== 'tap' || input.target !== target) return false;
+
+    const { startedAt, durationMs } = getPulse();
+    const elapsed = now - startedAt;
+    const cycle = Math.floor(elapsed / durationMs);
+    const phase = (elapsed % durationMs) / durationMs;
+    const isBright = phase <= brightWindow || phase >= 1 - brightWindow;
+
+    if (!isBright) {
+      reset();
+      return false;
+    }
+    if (lastCycle === cycle) return false;
+
+    progress = lastCycle !== null && cycle !== lastCycle + 1 ? 1 : progress + 1;
+    lastCycle = cycle;
+    if (progress < count) return false;
+
+    reset();
+    return true;
+  };
+
+  return { handle, reset };
+};
+
+// Length of the longest suffix of `typed` that is also a prefix of `keys`, so
+// "up up up down ..." still counts towards the Konami code.
+const matchedPrefix = (keys, typed) => {
+  for (let length = Math.min(typed.length, keys.length); length > 0; length -= 1) {
+    const tail = typed.slice(typed.length - length);
+    if (tail.every((key, index) => key === keys[index])) return length;
+  }
+  return 0;
+};
+
+// An exact run of keys. With `timeoutMs`, a pause longer than that between
+// two keys starts over.
+export const keySequence = (keys, { timeoutMs = Infinity } = {}) => {
+  const expected = keys.map(normalizeKey);
+  let progress = 0;
+  let lastAt = null;
+
+  const reset = () => {
+    progress = 0;
+    lastAt = null;
+  };
+
+  const handle = (input, now) => {
+    if (input.type !== 'key') return false;
+    if (lastAt !== null && now - lastAt > timeoutMs) progress = 0;
+
+    const typed = [...expected.slice(0, progress), normalizeKey(input.key)];
+    progress = matchedPrefix(expected, typed);
+    lastAt = now;
+    if (progress < expected.length) return false;
+
+    reset();
+    return true;
+  };
+
+  return { handle, reset };
+};
+
+export const KONAMI_CODE = [
+  'ArrowUp',
+  'ArrowUp',
+  'ArrowDown',
+  'ArrowDown',
+  'ArrowLeft',
+  'ArrowRight',
+  'ArrowLeft',
+  'ArrowRight',
+  'b',
+  'a'
+];
+
+// A word typed anywhere on the page (case-insensitive).
+export const typedWord = (word, { timeoutMs = 1500 } = {}) => keySequence([...word], { timeoutMs });
+
+// A press on `target` held for at least `durationMs`, counted on release.
+export const longPress = ({ target, durationMs }) => {
+  let startedAt = null;
+
+  const reset = () => {
+    startedAt = null;
+  };
+
+  const handle = (input, now) => {
+    if (input.target !== target) return false;
+    if (input.type === 'pressstart') {
+      startedAt = now;
+      return false;
+    }
+    if (input.type === 'presscancel') {
+      reset();
+      return false;
+    }
+    if (input.type !== 'pressend' || startedAt === null) return false;
+
+    const heldFor = now - startedAt;
+    reset();
+    return heldFor >= durationMs;
+  };
+
+  return { handle, reset };
+};
@@ -0,0 +1,33 @@
+import { StrictMode } from 'react';
+import { renderToString } from 'react-dom/server';
+import App from './App.jsx';
+import { createI18n } from './i18n/createI18n.js';
+import { setServerLocation } from './router/history.js';
+import { getPrerenderPages, getRouteMeta, matchRoute } from './router/routes.js';
+import { buildHeadTags, renderHeadTags } from './seo/head.js';
+import { renderRobots, renderSitemap } from './seo/sitemap.js';
+
+export { getPrerenderPages };
+
+/** Site-wide files written next to the prerendered pages. */
+export const getSiteFiles = () => [
+  { file: 'sitemap.xml', source: renderSitemap() },
+  { file: 'robots.txt', source: renderRobots() }
+];
+
+export const render = (url) => {
+  setServerLocation(url);
+  const { pathname } = new URL(url, 'http://localhost');
+  const route = matchRoute(pathname);
+  const i18n = createI18n(route.locale);
+
+  return {
+    html: renderToString(
+      <StrictMode>
+        <App />
+      </StrictMode>
+    ),
+    head: renderHeadTags(buildHeadTags(getRouteMeta(route, i18n), i18n)),
+    lang: i18n.htmlLang
+  };
+};
@@ -0,0 +1,69 @@
+// The date model behind experience ranges. Content keeps the short English
+// strings people read ("2022 - Present", "Summer 21-23"); this parses them so
+// durations, ordering and overlaps can be worked out. Months are 1–12.
+
+export const SEASON_MONTHS = {
+  Winter: [1, 2],
+  Spring: [3, 5],
+  Summer: [6, 8],
+  Fall: [9, 11]
+};
+
+// "2022 - Present", "2019 - 2021", "Summer 21-23", "Fall 2024"
+export const DATE_RANGE = /^(?:(Spring|Summer|Fall|Winter) )?(\d{2}|\d{4})(?: ?- ?(\d{2}|\d{4}|Present))?$/;
+
+const toFullYear = (year) => Number(year.length === 2 ? `20${year}` : year);
+
+/**
+ * Parses a range into `{ start, end, season, recurring, isCurrent }`. `start`
+ * and `end` are `{ year, month }`, with `end` null for ongoing roles. A season
+ * across several years ("Summer 21-23") is `recurring`: that season in each
+ * year rather than everything in between. Returns null for unknown formats.
+ */
+export const parseDateRange = (range) => {
+  const match = DATE_RANGE.exec(range);
+  if (!match) return null;
+
+  const [, season = null, startYear, endYear] = match;
+  const isCurrent = endYear === 'Present';
+  const [firstMonth, lastMonth] = season ? SEASON_MONTHS[season] : [1, 12];
+  const from = toFullYear(startYear);
+  const to = isCurrent ? null : toFullYear(endYear ?? startYear);
+
+  return {
+    start: { year: from, month: firstMonth },
+    end: isCurrent ? null : { year: to, month: lastMonth },
+    season,
+    recurring: season !== null && to !== from,
+    isCurrent
+  };
+};
+
+/** Months since year 0, so `{ year, month }` pairs can be compared and subtracted. */
+export const monthIndex = ({ year, month }) => year * 12 + month - 1;
+
+/**
+ * The stretches of time a parsed range covers, as `{ start, end }` month
+ * indexes with `end` exclusive. Ongoing ranges run through the month of
+ * `now`; recurring seasons give one period per year.
+ */
+export const datePeriods = (parsed, now) => {
+  const current = monthIndex({ year: now.getFullYear(), month: now.getMonth() + 1 });
+  const endIndex = parsed.end ? monthIndex(parsed.end) + 1 : current + 1;
+
+  if (!parsed.recurring) {
+    return [{ start: monthIndex(parsed.start), end: Math.max(endIndex, monthIndex(parsed.start) + 1) }];
+  }
+
+  const [firstMonth, lastMonth] = SEASON_MONTHS[parsed.season];
+  const lastYear = parsed.end?.year ?? now.getFullYear();
+  const periods = [];
+  for (let year = parsed.start.year; year <= lastYear; year += 1) {
+    const start = monthIndex({ year, month: firstMonth });
+    const end = Math.min(monthIndex({ year, month: lastMonth }) + 1, endIndex);
+    if (start < end) periods.push({ start, end });
+  }
+  return periods;
+};
+
+export const totalMonths = (periods) => periods.reduce((sum, period) => sum + period.end - period.start, 0);
@@ -0,0 +1,45 @@
+import { datePeriods, monthIndex, parseDateRange, totalMonths } from './dates.js';
+
+const overlaps = (a, b) => a.some((first) => b.some((second) => first.start < second.end && second.start < first.end));
+
+/**
+ * Lays experiences out for the timeline as of `now`: each role gets its
+ * periods, total months and the first lane where it overlaps nothing already
+ * placed, taking roles in order of their start. The axis runs over whole
+ * years; `years` are its tick labels.
+ */
+export const buildTimeline = (experiences, now) => {
+  const roles = experiences
+    .map((experience) => {
+      const parsed = parseDateRange(experience.date);
+      const periods = parsed ? datePeriods(parsed, now) : [];
+      return { id: experience.id, experience, periods, months: totalMonths(periods) };
+    })
+    .filter((role) => role.periods.length > 0)
+    .sort((a, b) => a.periods[0].start - b.periods[0].start);
+  if (roles.length === 0) return { roles, laneCount: 0, years: [], position: () => 0 };
+
+  const lanes = [];
+  roles.forEach((role) => {
+    let lane = lanes.findIndex((placed) => !overlaps(placed, role.periods));
+    if (lane === -1) {
+      lane = lanes.length;
+      lanes.push([]);
+    }
+    lanes[lane].push(...role.periods);
+    role.lane = lane;
+  });
+
+  const firstYear = Math.floor(Math.min(...roles.map((role) => role.periods[0].start)) / 12);
+  const lastYear = Math.floor((Math.max(...roles.map((role) => role.periods.at(-1).end)) - 1) / 12);
+  const start = monthIndex({ year: firstYear, month: 1 });
+  const end = monthIndex({ year: lastYear + 1, month: 1 });
+
+  return {
+    roles,
+    laneCount: lanes.length,
+    years: Array.from({ length: lastYear - firstYear + 1 }, (_, index) => firstYear + index),
+    // Where a month index falls along the axis, in percent.
+    position: (month) => ((month - start) / (end - start)) * 100
+  };
+};
@@ -0,0 +1,93 @@
+// Helpers for the GitHub contribution snapshot written by
+// plugins/githubContributions.js. Dates are ISO `YYYY-MM-DD` strings and are
+// handled in UTC so a day never shifts with the visitor's time zone.
+
+export const CONTRIBUTIONS_SNAPSHOT_PATH = '/data/github-contributions.json';
+
+const toUtcDate = (isoDate) => new Date(`${isoDate}T00:00:00Z`);
+
+const formatters = new Map();
+const formatter = (locale, options) => {
+  const key = `${locale}:${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat(locale, { timeZone: 'UTC', ...options }));
+  }
+  return formatters.get(key);
+};
+
+// 2023-01-01 was a Sunday, so these are the seven weekdays in grid order.
+export const weekdayLabels = (locale) => Array.from({ length: 7 }, (_, index) => (
+  formatter(locale, { weekday: 'short' }).format(toUtcDate(`2023-01-0${index + 1}`))
+));
+
+export const formatDay = (isoDate, locale) => formatter(locale, {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+}).format(toUtcDate(isoDate));
+
+/** Accessible description of one day, e.g. "3 contributions on Tue, Jan 3, 2023". */
+export const describeDay = ({ date, count }, { t, intlLocale }) => (
+  count === 0
+    ? t('github.dayNone', { date: formatDay(date, intlLocale) })
+    : t('github.day', { count, date: formatDay(date, intlLocale) })
+);
+
+/**
+ * Groups days into Sunday-first weeks. The first week is padded with `null`
+ * so every row of the grid lines up with one weekday.
+ */
+export const toWeeks = (days) => {
+  if (days.length === 0) return [];
+
+  const weeks = [];
+  let week = new Array(toUtcDate(days[0].date).getUTCDay()).fill(null);
+
+  days.forEach((day) => {
+    week.push(day);
+    if (week.length === 7) {
+      weeks.push(week);
+      week = [];
+    }
+  });
+
+  if (week.length > 0) {
+    weeks.push([...week, ...new Array(7 - week.length).fill(null)]);
+  }
+  return weeks;
+};
+
+/** One label per month, placed on the first week that starts in that month. */
+export const monthLabels = (weeks, locale) => {
+  const labels = [];
+  let lastMonth = null;
+
+  weeks.forEach((week, index) => {
+    const firstDay = week.find(Boolean);
+    if (!firstDay) return;
+    const month = toUtcDate(firstDay.date).getUTCMonth();
+    if (month === lastMonth) return;
+    lastMonth = month;
+    labels.push({ index, label: formatter(locale, { month: 'short' }).format(toUtcDate(firstDay.date)) });
+  });
+
+  // The first column usually shows the tail of the previous month; drop its
+  // label if the next one would collide with it.
+  if (labels.length > 1 && labels[1].index - labels[0].index < 3) labels.shift();
+  return labels;
+};
+
+export const summarizeContributions = (days) => {
+  let longestStreak = 0;
+  let run = 0;
+  days.forEach((day) => {
+    run = day.count > 0 ? run + 1 : 0;
+    longestStreak = Math.max(longestStreak, run);
+  });
+
+  return {
+    total: days.reduce((sum, day) => sum + day.count, 0),
+    longestStreak
+  };
+};
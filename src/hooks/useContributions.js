@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react';
+import { CONTRIBUTIONS_SNAPSHOT_PATH } from '../github/contributions.js';
+
+const useContributions = () => {
+  const [state, setState] = useState({ status: 'loading', snapshot: null });
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    fetch(CONTRIBUTIONS_SNAPSHOT_PATH, { signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) throw new Error(`Snapshot request failed with ${response.status}`);
+        return response.json();
+      })
+      .then((snapshot) => setState({ status: 'ready', snapshot }))
+      .catch((error) => {
+        if (error.name === 'AbortError') return;
+        setState({ status: 'error', snapshot: null });
+      });
+
+    return () => controller.abort();
+  }, []);
+
+  return state;
+};
+
+export default useContributions;
@@ -0,0 +1,44 @@
+import { useEffect, useRef, useState } from 'react';
+
+/**
+ * Open/closed state for a button-triggered popover. Closes on a pointer press
+ * outside `containerRef` and on Escape, which also returns focus to the button.
+ */
+const useDisclosure = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+  const buttonRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const onPointerDown = (event) => {
+      if (!containerRef.current?.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    const onKeyDown = (event) => {
+      if (event.key !== 'Escape') return;
+      setIsOpen(false);
+      buttonRef.current?.focus();
+    };
+
+    document.addEventListener('pointerdown', onPointerDown);
+    document.addEventListener('keydown', onKeyDown);
+    return () => {
+      document.removeEventListener('pointerdown', onPointerDown);
+      document.removeEventListener('keydown', onKeyDown);
+    };
+  }, [isOpen]);
+
+  return {
+    isOpen,
+    containerRef,
+    buttonRef,
+    toggle: () => setIsOpen((current) => !current),
+    close: () => setIsOpen(false)
+  };
+};
+
+export default useDisclosure;
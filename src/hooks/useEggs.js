@@ -0,0 +1,101 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { ANALYTICS_EVENTS } from '../analytics/events.js';
+import { track } from '../analytics/tracker.js';
+import { recordDiscovery, useDiscoveredEggs } from '../eggs/discoveryStore.js';
+import { createEggEngine } from '../eggs/engine.js';
+import { createEggs } from '../eggs/eggs.js';
+
+const DEFAULT_PULSE_DURATION_MS = 2000;
+
+const parseDurationToMs = (durationValue) => {
+  if (!durationValue) return null;
+
+  const value = durationValue.trim();
+  if (value.endsWith('ms')) {
+    const ms = Number.parseFloat(value);
+    return Number.isFinite(ms) ? ms : null;
+  }
+
+  if (value.endsWith('s')) {
+    const s = Number.parseFloat(value);
+    return Number.isFinite(s) ? s * 1000 : null;
+  }
+
+  return null;
+};
+
+// The engine and the pulse timing it reads, created once per mounted page.
+const createEggKit = () => {
+  let pulse = { startedAt: 0, durationMs: DEFAULT_PULSE_DURATION_MS };
+  const eggs = createEggs({ getPulse: () => pulse });
+
+  return {
+    eggs,
+    engine: createEggEngine({ eggs }),
+    setPulse: (next) => {
+      pulse = next;
+    }
+  };
+};
+
+const isTypingTarget = (target) => target instanceof HTMLElement
+  && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+/**
+ * Wires the egg engine into the page: keydowns outside form fields feed the
+ * keyboard triggers, `dispatch` takes taps and presses from components, and
+ * the egg that fired last is returned as `activeEgg` until `close()`.
+ * `returnFocusRef` holds what had focus when it fired, for the dialog showing
+ * it to return focus to.
+ */
+const useEggs = () => {
+  const returnFocusRef = useRef(null);
+  const [{ eggs, engine, setPulse }] = useState(createEggKit);
+  const [activeEgg, setActiveEgg] = useState(null);
+  const discovered = useDiscoveredEggs();
+
+  useEffect(() => {
+    const cssPulseDuration = parseDurationToMs(
+      getComputedStyle(document.documentElement).getPropertyValue('--hero-pulse-duration')
+    );
+    setPulse({
+      startedAt: performance.now(),
+      durationMs: cssPulseDuration ?? DEFAULT_PULSE_DURATION_MS
+    });
+  }, [setPulse]);
+
+  const dispatch = useCallback((input) => {
+    const [egg] = engine.dispatch(input);
+    if (!egg) return;
+
+    recordDiscovery(egg.id);
+    track(ANALYTICS_EVENTS.eggFound, egg.id);
+    returnFocusRef.current = document.activeElement;
+    setActiveEgg(egg);
+  }, [engine]);
+
+  useEffect(() => {
+    if (activeEgg) return undefined;
+
+    const onKeyDown = (event) => {
+      if (event.metaKey || event.ctrlKey || event.altKey || isTypingTarget(event.target)) return;
+      dispatch({ type: 'key', key: event.key });
+    };
+
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [activeEgg, dispatch]);
+
+  const close = useCallback(() => setActiveEgg(null), []);
+
+  return {
+    activeEgg,
+    close,
+    dispatch,
+    returnFocusRef,
+    foundCount: eggs.filter((egg) => discovered.includes(egg.id)).length,
+    total: eggs.length
+  };
+};
+
+export default useEggs;
@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+
+const STATS_PATH = '/api/events';
+
+/** Loads the aggregate analytics counts from `api/events`. */
+const useEventStats = () => {
+  const [state, setState] = useState({ status: 'loading', stats: null });
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    fetch(STATS_PATH, { signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) throw new Error(`Stats request failed with ${response.status}`);
+        return response.json();
+      })
+      .then(({ stats }) => setState({ status: 'ready', stats }))
+      .catch((error) => {
+        if (error.name === 'AbortError') return;
+        setState({ status: 'error', stats: null });
+      });
+
+    return () => controller.abort();
+  }, []);
+
+  return state;
+};
+
+export default useEventStats;
@@ -0,0 +1,52 @@
+import { useEffect } from 'react';
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+// Hidden elements (display: none, or inside a closed popover) have no boxes.
+export const focusableIn = (container) => [...container.querySelectorAll(FOCUSABLE)]
+  .filter((element) => element.getClientRects().length > 0);
+
+/**
+ * While `active`, keeps Tab and Shift+Tab cycling through the focusable
+ * elements inside `containerRef`, and pulls focus back in if it has left.
+ */
+const useFocusTrap = (containerRef, active) => {
+  useEffect(() => {
+    if (!active) return undefined;
+
+    const onKeyDown = (event) => {
+      const container = containerRef.current;
+      // Widgets that manage Tab themselves (the palette's input) prevent it.
+      if (event.key !== 'Tab' || event.defaultPrevented || !container) return;
+
+      const focusable = focusableIn(container);
+      if (focusable.length === 0) return;
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const current = document.activeElement;
+      if (!container.contains(current)) {
+        event.preventDefault();
+        first.focus();
+      } else if (event.shiftKey && current === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && current === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [containerRef, active]);
+};
+
+export default useFocusTrap;
@@ -0,0 +1,34 @@
+import { useCallback, useMemo } from 'react';
+import { navigate, useLocation } from '../router/history.js';
+
+/**
+ * Keeps a selection of ids in the URL hash as `#<section>/<id>,<id>`, so the
+ * selection can be shared as a link. Unknown ids, and hashes that do not
+ * decode, are ignored. Updates replace the current history entry and keep
+ * the scroll position.
+ */
+const useHashSelection = (section, knownIds) => {
+  const { pathname, search, hash } = useLocation();
+  const prefix = `#${section}/`;
+
+  const selected = useMemo(() => {
+    if (!hash.startsWith(prefix)) return [];
+    let ids;
+    try {
+      ids = decodeURIComponent(hash.slice(prefix.length)).split(',');
+    } catch {
+      // A malformed escape selects nothing.
+      return [];
+    }
+    return knownIds.filter((id) => ids.includes(id));
+  }, [hash, prefix, knownIds]);
+
+  const setSelected = useCallback((ids) => {
+    const nextHash = ids.length > 0 ? `${prefix}${ids.join(',')}` : `#${section}`;
+    navigate(`${pathname}${search}${nextHash}`, { replace: true });
+  }, [pathname, search, prefix, section]);
+
+  return [selected, setSelected];
+};
+
+export default useHashSelection;
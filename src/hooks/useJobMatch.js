@@ -0,0 +1,28 @@
+import { useMemo, useState } from 'react';
+import { useI18n } from '../i18n/context.js';
+import { matchJob } from '../skills/jobMatch.js';
+import { getSkillIndex } from '../skills/skillIndex.js';
+
+/**
+ * Job match state. The pasted description stays in memory only, never in the
+ * URL or storage, and the match is worked out again when the locale changes.
+ * Returns the description (or null), its match and setters.
+ */
+const useJobMatch = () => {
+  const { locale, content } = useI18n();
+  const [description, setDescription] = useState(null);
+
+  const match = useMemo(
+    () => (description ? matchJob(description, content, getSkillIndex(locale)) : null),
+    [description, content, locale]
+  );
+
+  return useMemo(() => ({
+    description,
+    match,
+    setDescription,
+    clear: () => setDescription(null)
+  }), [description, match]);
+};
+
+export default useJobMatch;
@@ -0,0 +1,28 @@
+import { useContext, useEffect, useRef, useState } from 'react';
+import { RevealContext, RevealGroupContext } from '../motion/revealContext.js';
+
+const HIDDEN = { isVisible: false, delay: null, isReduced: false };
+
+/**
+ * Reveals an element as it scrolls into view, through the RevealProvider's
+ * shared controller. Returns `[ref, isVisible, delay, isReduced]`, where
+ * `delay` (ms) includes the enclosing RevealGroup's stagger and `isReduced`
+ * is the controller's reduced-motion flag. See motion/reveal.js for the
+ * options; without a provider the element is simply shown.
+ */
+const useReveal = ({ threshold = 0.1, mode = 'once', delay = 0, trackAs = null } = {}) => {
+  const controller = useContext(RevealContext);
+  const group = useContext(RevealGroupContext);
+  const ref = useRef(null);
+  const [state, setState] = useState(HIDDEN);
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element || !controller) return undefined;
+    return controller.observe(element, { threshold, mode, delay, group, trackAs, onChange: setState });
+  }, [controller, group, threshold, mode, delay, trackAs]);
+
+  return [ref, controller ? state.isVisible : true, state.delay ?? delay, state.isReduced];
+};
+
+export default useReveal;
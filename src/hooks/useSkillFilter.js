@@ -0,0 +1,37 @@
+import { useCallback, useMemo } from 'react';
+import { useI18n } from '../i18n/context.js';
+import { navigate, useLocation } from '../router/history.js';
+import { getSkillIndex } from '../skills/skillIndex.js';
+
+const PARAM = 'skill';
+
+/**
+ * The skill filter, kept in the `?skill=<id>` query parameter so a filtered
+ * view can be shared. Unknown ids are ignored. Returns the active id (or
+ * null), the skill index for the current locale and a setter.
+ */
+const useSkillFilter = () => {
+  const { pathname, search, hash } = useLocation();
+  const { locale } = useI18n();
+  const index = getSkillIndex(locale);
+
+  const requested = new URLSearchParams(search).get(PARAM);
+  const activeId = requested && index.has(requested) ? requested : null;
+
+  const setSkillFilter = useCallback((id) => {
+    const params = new URLSearchParams(search);
+    if (id) params.set(PARAM, id);
+    else params.delete(PARAM);
+    const query = params.toString();
+    navigate(`${pathname}${query ? `?${query}` : ''}${hash}`, { replace: true });
+  }, [pathname, search, hash]);
+
+  return useMemo(() => ({
+    activeId,
+    index,
+    setSkillFilter,
+    toggleSkill: (id) => setSkillFilter(id === activeId ? null : id)
+  }), [activeId, index, setSkillFilter]);
+};
+
+export default useSkillFilter;
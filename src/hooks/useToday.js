@@ -0,0 +1,13 @@
+import { useSyncExternalStore } from 'react';
+import { isoDate } from '../availability/status.js';
+
+const subscribe = () => () => {};
+const getSnapshot = () => isoDate(new Date());
+// Prerendered pages know no "today", so hydration renders without one and the
+// visitor's date takes over right after.
+const getServerSnapshot = () => null;
+
+/** Today's local date as an ISO date (`2026-03-01`), or null while prerendering and hydrating. */
+const useToday = () => useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
+
+export default useToday;
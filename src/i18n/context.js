@@ -0,0 +1,6 @@
+import { createContext, useContext } from 'react';
+import { createI18n } from './createI18n.js';
+
+export const I18nContext = createContext(createI18n());
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,43 @@
+import { localizedContent } from 'virtual:content';
+import { formatDateRange } from './dates.js';
+import { DEFAULT_LOCALE, LOCALES, localizePath } from './locales.js';
+import { createTranslator } from './translate.js';
+
+const cache = new Map();
+
+/**
+ * Everything a component needs to render in one locale: the translator, the
+ * translated site content and locale-aware formatting helpers. Instances are
+ * cached so each locale keeps a stable identity for context consumers.
+ */
+export const createI18n = (locale = DEFAULT_LOCALE) => {
+  if (cache.has(locale)) return cache.get(locale);
+
+  const { intl, htmlLang } = LOCALES[locale];
+  const t = createTranslator(locale);
+  // Calendar dates ("2025-03-14") are formatted in UTC so they never shift a
+  // day with the visitor's time zone.
+  const dateFormat = new Intl.DateTimeFormat(intl, { dateStyle: 'long', timeZone: 'UTC' });
+  const yearFormat = new Intl.NumberFormat(intl, { style: 'unit', unit: 'year', unitDisplay: 'long' });
+  const monthFormat = new Intl.NumberFormat(intl, { style: 'unit', unit: 'month', unitDisplay: 'long' });
+  const unitList = new Intl.ListFormat(intl, { type: 'unit', style: 'narrow' });
+  const i18n = {
+    locale,
+    htmlLang,
+    intlLocale: intl,
+    t,
+    content: localizedContent[locale],
+    localizePath: (path) => localizePath(path, locale),
+    formatDateRange: (range) => formatDateRange(range, t),
+    formatNumber: (value) => value.toLocaleString(intl),
+    formatDate: (isoDate) => dateFormat.format(new Date(`${isoDate}T00:00:00Z`)),
+    // A number of months as "3 years 4 months", leaving out zero parts.
+    formatDuration: (months) => unitList.format([
+      ...(months >= 12 ? [yearFormat.format(Math.floor(months / 12))] : []),
+      ...(months % 12 > 0 || months < 12 ? [monthFormat.format(months % 12)] : [])
+    ])
+  };
+
+  cache.set(locale, i18n);
+  return i18n;
+};
@@ -0,0 +1,10 @@
+// Content dates are written as short English ranges ("2022 - Present",
+// "Summer 21-23"; see plugins/content/schemas.js). Only the words change
+// between locales, the numbers are kept exactly as written.
+
+const SEASON = /\b(Spring|Summer|Fall|Winter)\b/;
+const PRESENT = /\bPresent\b/;
+
+export const formatDateRange = (range, t) => range
+  .replace(SEASON, (season) => t(`dates.seasons.${season}`))
+  .replace(PRESENT, () => t('dates.present'));
@@ -0,0 +1,34 @@
+// Supported locales. The default locale is served at the site root; every
+// other locale lives under its own prefix, e.g. `/es/projects/...`.
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = {
+  en: { label: 'English', shortLabel: 'EN', htmlLang: 'en', intl: 'en-US', ogLocale: 'en_US' },
+  es: { label: 'Español', shortLabel: 'ES', htmlLang: 'es', intl: 'es-US', ogLocale: 'es_US' }
+};
+
+export const LOCALE_CODES = Object.keys(LOCALES);
+
+export const isLocale = (value) => Object.prototype.hasOwnProperty.call(LOCALES, value);
+
+const splitSuffix = (href) => {
+  const index = href.search(/[?#]/);
+  return index === -1 ? [href, ''] : [href.slice(0, index), href.slice(index)];
+};
+
+/** Splits `/es/projects/x` into `{ locale: 'es', path: '/projects/x' }`. */
+export const splitLocalePath = (pathname) => {
+  const [, first, ...rest] = pathname.split('/');
+  if (first !== DEFAULT_LOCALE && isLocale(first)) {
+    return { locale: first, path: `/${rest.join('/')}` };
+  }
+  return { locale: DEFAULT_LOCALE, path: pathname };
+};
+
+/** Prefixes an unlocalized path (which may carry a query or hash) with `locale`. */
+export const localizePath = (href, locale) => {
+  const [path, suffix] = splitSuffix(href);
+  if (locale === DEFAULT_LOCALE) return `${path}${suffix}`;
+  return `${path === '/' ? `/${locale}` : `/${locale}${path}`}${suffix}`;
+};
@@ -0,0 +1,50 @@
+import en from './messages/en.json' with { type: 'json' };
+import es from './messages/es.json' with { type: 'json' };
+import { DEFAULT_LOCALE, LOCALES } from './locales.js';
+
+export const CATALOGS = { en, es };
+
+const lookup = (catalog, key) => key.split('.').reduce(
+  (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+  catalog
+);
+
+const interpolate = (template, params) => template.replace(
+  /\{(\w+)\}/g,
+  (match, name) => (params[name] === undefined ? match : String(params[name]))
+);
+
+/**
+ * Creates `t(key, params)` for a locale. Keys are dot paths into the catalog;
+ * `{name}` placeholders are filled from `params`. A message may be an object of
+ * plural forms (`one`, `other`, ...) selected by `params.count`. Unknown keys
+ * fall back to the default locale, then to the key itself.
+ */
+export const createTranslator = (locale) => {
+  const catalog = CATALOGS[locale] ?? CATALOGS[DEFAULT_LOCALE];
+  const pluralRules = new Intl.PluralRules(LOCALES[locale]?.intl ?? locale);
+
+  const resolve = (key, params) => {
+    let message = lookup(catalog, key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+    if (message && typeof message === 'object' && typeof params.count === 'number') {
+      message = message[pluralRules.select(params.count)] ?? message.other;
+    }
+    return typeof message === 'string' ? message : key;
+  };
+
+  const t = (key, params = {}) => interpolate(resolve(key, params), params);
+
+  /**
+   * Like `t`, but returns the message split into parts so placeholders can be
+   * filled with non-string values (e.g. React elements).
+   */
+  t.parts = (key, params = {}) => resolve(key, params)
+    .split(/(\{\w+\})/)
+    .filter(Boolean)
+    .map((part) => {
+      const name = /^\{(\w+)\}$/.exec(part)?.[1];
+      return name && params[name] !== undefined ? params[name] : part;
+    });
+
+  return t;
+};
@@ -1,10 +1,29 @@
 import { StrictMode } from 'react'
-import { createRoot } from 'react-dom/client'
+import { createRoot, hydrateRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { LOCALES, splitLocalePath } from './i18n/locales.js'
+import { registerServiceWorker } from './pwa/updateStore.js'
 
-createRoot(document.getElementById('root')).render(
+const container = document.getElementById('root')
+const app = (
   <StrictMode>
     <App />
-  </StrictMode>,
+  </StrictMode>
 )
+
+// Production pages are prerendered at build time; the dev server serves an
+// empty root. The shared 404.html is prerendered in the default locale, so it
+// is rendered from scratch when the URL asks for another language.
+const { locale } = splitLocalePath(window.location.pathname)
+if (container.hasChildNodes() && document.documentElement.lang === LOCALES[locale].htmlLang) {
+  hydrateRoot(container, app)
+} else {
+  container.replaceChildren()
+  createRoot(container).render(app)
+}
+
+// The service worker only exists in the build output (see plugins/pwa.js).
+if (import.meta.env.PROD) {
+  window.addEventListener('load', () => registerServiceWorker())
+}
@@ -0,0 +1,27 @@
+// Motion preference shared by the runtime store and the inline boot script
+// that plugins/theme.js writes into index.html. `system` follows the OS
+// setting; `reduce` and `full` override it.
+
+export const MOTION_STORAGE_KEY = 'motion-preference';
+
+export const MOTION_PREFERENCES = ['system', 'reduce', 'full'];
+
+/**
+ * Resolves a preference (the stored one unless `preference` is given) and sets
+ * <html data-motion> to `reduce` or `full`. Serialized into index.html, so it
+ * must stay self-contained.
+ */
+export function applyMotion(storageKey, preference) {
+  if (preference === undefined) {
+    try {
+      preference = window.localStorage.getItem(storageKey);
+    } catch {
+      preference = null;
+    }
+  }
+
+  var reduce = preference === 'reduce'
+    || (preference !== 'full' && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  document.documentElement.dataset.motion = reduce ? 'reduce' : 'full';
+  return reduce;
+}
@@ -0,0 +1,67 @@
+import { useSyncExternalStore } from 'react';
+import { applyMotion, MOTION_STORAGE_KEY } from './motion.js';
+
+// Like the theme store: <html data-motion> holds the resolved setting and
+// localStorage the visitor's preference.
+
+const MOTION_EVENT = 'app:motionchange';
+const MEDIA_QUERY = '(prefers-reduced-motion: reduce)';
+
+let memoryPreference = 'system';
+
+const readPreference = () => {
+  try {
+    return window.localStorage.getItem(MOTION_STORAGE_KEY) ?? 'system';
+  } catch {
+    return memoryPreference;
+  }
+};
+
+/** Calls `callback` whenever the resolved motion setting may have changed. Returns the unsubscribe. */
+export const subscribeToMotion = (callback) => {
+  const onSystemChange = () => {
+    if (readPreference() !== 'system') return;
+    applyMotion(MOTION_STORAGE_KEY, null);
+    callback();
+  };
+  const onStorage = (event) => {
+    if (event.key !== MOTION_STORAGE_KEY) return;
+    applyMotion(MOTION_STORAGE_KEY);
+    callback();
+  };
+  const query = window.matchMedia(MEDIA_QUERY);
+
+  query.addEventListener('change', onSystemChange);
+  window.addEventListener('storage', onStorage);
+  window.addEventListener(MOTION_EVENT, callback);
+  return () => {
+    query.removeEventListener('change', onSystemChange);
+    window.removeEventListener('storage', onStorage);
+    window.removeEventListener(MOTION_EVENT, callback);
+  };
+};
+
+export const setMotionPreference = (preference) => {
+  memoryPreference = preference;
+  try {
+    if (preference === 'system') {
+      window.localStorage.removeItem(MOTION_STORAGE_KEY);
+    } else {
+      window.localStorage.setItem(MOTION_STORAGE_KEY, preference);
+    }
+  } catch {
+    // Not persisted; memoryPreference keeps it for this visit.
+  }
+  applyMotion(MOTION_STORAGE_KEY, preference === 'system' ? null : preference);
+  window.dispatchEvent(new Event(MOTION_EVENT));
+};
+
+/** Whether motion is currently reduced, outside React. */
+export const isMotionReduced = () => (
+  typeof document !== 'undefined' && document.documentElement.dataset.motion === 'reduce'
+);
+
+/** Flips motion between reduced and full, overriding the OS setting. */
+export const toggleMotion = () => setMotionPreference(isMotionReduced() ? 'full' : 'reduce');
+
+export const useReducedMotionPreference = () => useSyncExternalStore(subscribeToMotion, isMotionReduced, () => false);
@@ -0,0 +1,138 @@
+import { trackSectionView } from '../analytics/tracker.js';
+import { isMotionReduced, subscribeToMotion } from './motionStore.js';
+
+export const REVEAL_ROOT_MARGIN = '0px 0px -50px 0px';
+
+/**
+ * The scroll-reveal controller behind RevealProvider. Elements that share a
+ * threshold and root margin share one IntersectionObserver, and the controller
+ * holds the only reduced-motion subscription, so the cost stays flat however
+ * many elements are revealed.
+ *
+ * `observe(element, options)` registers an element and returns its cleanup.
+ * Options:
+ * - `mode`: `once` (default) stays revealed and stops observing after the
+ *   first time in view; `toggle` hides again whenever the element leaves.
+ * - `delay`: ms before the reveal transition starts.
+ * - `group`: a RevealGroup's `{ stagger, maxSteps }`. Members revealed within
+ *   `stagger` ms of each other are delayed one step more each, in document
+ *   order, up to `maxSteps` steps.
+ * - `trackAs`: counts the first time in view as a view of that section in
+ *   analytics, reduced motion or not.
+ * - `onChange({ isVisible, delay, isReduced })`: called whenever any of them
+ *   changes.
+ *
+ * While motion is reduced every element reports visible with no delay, and
+ * `isReduced` lets elements with motion of their own drop it too.
+ */
+export const createRevealController = () => {
+  const pools = new Map();
+  const records = new Map();
+  const chains = new WeakMap();
+  let isReduced = false;
+  let unsubscribeMotion = null;
+
+  const report = (record) => {
+    record.onChange({
+      isVisible: isReduced || record.isRevealed,
+      delay: isReduced || !record.isRevealed ? 0 : record.revealDelay,
+      isReduced
+    });
+  };
+
+  // Reveals in one group that land close together are stepped in page order.
+  const staggered = (revealing, now) => {
+    revealing
+      .sort((a, b) => (a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+      .forEach((record) => {
+        const { group } = record;
+        if (!group) {
+          record.revealDelay = record.delay;
+          return;
+        }
+        const chain = chains.get(group);
+        const step = chain && now - chain.at <= group.stagger ? chain.step + 1 : 0;
+        chains.set(group, { step, at: now });
+        record.revealDelay = record.delay + Math.min(step, group.maxSteps) * group.stagger;
+      });
+  };
+
+  const handleEntries = (entries, pool) => {
+    const revealing = [];
+    const changed = [];
+
+    entries.forEach((entry) => {
+      const record = records.get(entry.target);
+      if (!record || record.isRevealed === entry.isIntersecting) return;
+      if (entry.isIntersecting && record.trackAs) trackSectionView(record.trackAs);
+      if (!entry.isIntersecting && record.mode === 'once') return;
+
+      record.isRevealed = entry.isIntersecting;
+      if (record.isRevealed) revealing.push(record);
+      changed.push(record);
+      if (record.isRevealed && record.mode === 'once') pool.observer.unobserve(record.element);
+    });
+
+    staggered(revealing, performance.now());
+    changed.forEach(report);
+  };
+
+  const poolFor = (threshold, rootMargin) => {
+    const key = `${threshold}|${rootMargin}`;
+    if (!pools.has(key)) {
+      const pool = { key, size: 0 };
+      pool.observer = new IntersectionObserver((entries) => handleEntries(entries, pool), { threshold, rootMargin });
+      pools.set(key, pool);
+    }
+    return pools.get(key);
+  };
+
+  const onMotionChange = () => {
+    if (isMotionReduced() === isReduced) return;
+    isReduced = isMotionReduced();
+    records.forEach(report);
+  };
+
+  const observe = (element, {
+    threshold = 0.1,
+    rootMargin = REVEAL_ROOT_MARGIN,
+    mode = 'once',
+    delay = 0,
+    group = null,
+    trackAs = null,
+    onChange
+  }) => {
+    if (typeof IntersectionObserver === 'undefined') {
+      onChange({ isVisible: true, delay: 0, isReduced: isMotionReduced() });
+      return () => {};
+    }
+
+    if (records.size === 0) {
+      isReduced = isMotionReduced();
+      unsubscribeMotion = subscribeToMotion(onMotionChange);
+    }
+
+    const pool = poolFor(threshold, rootMargin);
+    const record = { element, mode, delay, group, trackAs, onChange, isRevealed: false, revealDelay: delay };
+    records.set(element, record);
+    pool.size += 1;
+    pool.observer.observe(element);
+    if (isReduced) report(record);
+
+    return () => {
+      records.delete(element);
+      pool.observer.unobserve(element);
+      pool.size -= 1;
+      if (pool.size === 0) {
+        pool.observer.disconnect();
+        pools.delete(pool.key);
+      }
+      if (records.size === 0) {
+        unsubscribeMotion?.();
+        unsubscribeMotion = null;
+      }
+    };
+  };
+
+  return { observe };
+};
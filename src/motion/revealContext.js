@@ -0,0 +1,7 @@
+import { createContext } from 'react';
+
+// The page's reveal controller (see reveal.js), provided by RevealProvider.
+export const RevealContext = createContext(null);
+
+// The `{ stagger, maxSteps }` of the enclosing RevealGroup, if any.
+export const RevealGroupContext = createContext(null);
@@ -0,0 +1,63 @@
+import { useEffect, useSyncExternalStore } from 'react';
+import { isMotionReduced } from '../motion/motionStore.js';
+
+// Home page sections linked from the nav, in page order. Labels live in the
+// i18n catalogs under `nav.<id>`; `contact` is the nav's call to action.
+export const NAV_SECTIONS = ['work', 'projects', 'skills', 'activity', 'contact'];
+
+// The active section is the one crossing a line 40% of the way down the
+// viewport, the point a reader's eye is usually at.
+const SPY_ROOT_MARGIN = '-40% 0px -59% 0px';
+
+let activeSection = null;
+const listeners = new Set();
+
+const setActiveSection = (id) => {
+  if (id === activeSection) return;
+  activeSection = id;
+  listeners.forEach((listener) => listener());
+};
+
+/**
+ * Watches every section in NAV_SECTIONS on the current page with one shared
+ * observer. An id may sit inside its section (like `#work`), so the enclosing
+ * <section> is what gets observed. Returns a cleanup that disconnects it.
+ */
+export const observeSections = () => {
+  const targets = new Map();
+  NAV_SECTIONS.forEach((id) => {
+    const element = document.getElementById(id);
+    if (element) targets.set(element.closest('section') ?? element, id);
+  });
+  if (targets.size === 0 || typeof IntersectionObserver === 'undefined') return () => {};
+
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      const id = targets.get(entry.target);
+      if (entry.isIntersecting) setActiveSection(id);
+      else if (id === activeSection) setActiveSection(null);
+    });
+  }, { rootMargin: SPY_ROOT_MARGIN });
+
+  targets.forEach((id, element) => observer.observe(element));
+  return () => {
+    observer.disconnect();
+    setActiveSection(null);
+  };
+};
+
+const subscribe = (callback) => {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+};
+
+/** The id of the section being read, re-scanning the page when `pathname` changes. */
+export const useActiveSection = (pathname) => {
+  useEffect(() => observeSections(), [pathname]);
+  return useSyncExternalStore(subscribe, () => activeSection, () => null);
+};
+
+/** Scrolls to an element, smoothly unless motion is reduced. */
+export const scrollToElement = (element) => {
+  element?.scrollIntoView({ behavior: isMotionReduced() ? 'auto' : 'smooth', block: 'start' });
+};
@@ -0,0 +1,11 @@
+// Feeds generated from the notes at build time (see plugins/feeds.js). Paths
+// are served from the site root; labels live in the i18n catalogs under
+// `notes.feeds.<id>`.
+export const NOTE_FEEDS = [
+  { id: 'rss', path: '/rss.xml', mimeType: 'application/rss+xml' },
+  { id: 'atom', path: '/atom.xml', mimeType: 'application/atom+xml' }
+];
+
+export const NOTES_PATH = '/notes';
+
+export const notePath = (slug) => `${NOTES_PATH}/${slug}`;
@@ -0,0 +1,12 @@
+import { toSkillId } from '../skills/skillIndex.js';
+
+// Note tags are skill labels (checked at build time), so they resolve to the
+// same ids as the skill filter and translate through the skill index.
+
+export const noteTagId = (tag, index) => index.idOf(tag) ?? toSkillId(tag);
+
+/** True when a note is tagged with the skill `id` or one of its synonyms. */
+export const noteHasTag = (note, id, index) => {
+  const related = index.related(id);
+  return note.tags.some((tag) => related.has(noteTagId(tag, index)));
+};
@@ -0,0 +1,233 @@
+import { useEffect, useState } from 'react';
+import { availabilityLabel } from '../availability/status.js';
+import AnimatedSection from '../components/AnimatedSection.jsx';
+import ContactForm from '../components/ContactForm.jsx';
+import ContactShare from '../components/ContactShare.jsx';
+import ExperienceAccordion from '../components/ExperienceAccordion.jsx';
+import GitHubActivity from '../components/GitHubActivity.jsx';
+import JobMatch from '../components/JobMatch.jsx';
+import ProjectCard from '../components/ProjectCard.jsx';
+import RevealGroup from '../components/RevealGroup.jsx';
+import ResumeMenu from '../components/ResumeMenu.jsx';
+import ScheduleChat from '../components/ScheduleChat.jsx';
+import SkillCard from '../components/SkillCard.jsx';
+import SkillFilterBar from '../components/SkillFilterBar.jsx';
+import TestimonialCarousel from '../components/TestimonialCarousel.jsx';
+import { EGG_TARGETS } from '../eggs/eggs.js';
+import useJobMatch from '../hooks/useJobMatch.js';
+import useSkillFilter from '../hooks/useSkillFilter.js';
+import useToday from '../hooks/useToday.js';
+import { useI18n } from '../i18n/context.js';
+
+const HOVER_CAPABLE_MEDIA_QUERY = '(hover: hover) and (pointer: fine)';
+
+const pressHandlers = (onEggInput, target) => {
+  const send = (type) => () => onEggInput?.({ type, target });
+  return {
+    onPointerDown: send('pressstart'),
+    onPointerUp: send('pressend'),
+    onPointerLeave: send('presscancel'),
+    onPointerCancel: send('presscancel')
+  };
+};
+
+const HomePage = ({ onEggInput }) => {
+  const { t, content, formatDate } = useI18n();
+  const { site, experiences, projects, skillCategories, testimonials } = content;
+  const today = useToday();
+  const status = availabilityLabel(site.availability, t, formatDate, today);
+  // Starts false so the first client render matches the prerendered markup;
+  // the effect below picks up the real capability.
+  const [isHoverCapable, setIsHoverCapable] = useState(false);
+  const skillFilter = useSkillFilter();
+  const jobMatch = useJobMatch();
+
+  useEffect(() => {
+    if (typeof window === 'undefined') return undefined;
+
+    const mediaQuery = window.matchMedia(HOVER_CAPABLE_MEDIA_QUERY);
+    const handleChange = (event) => {
+      setIsHoverCapable(event.matches);
+    };
+
+    setIsHoverCapable(mediaQuery.matches);
+
+    if (mediaQuery.addEventListener) {
+      mediaQuery.addEventListener('change', handleChange);
+      return () => mediaQuery.removeEventListener('change', handleChange);
+    }
+
+    mediaQuery.addListener(handleChange);
+    return () => mediaQuery.removeListener(handleChange);
+  }, []);
+
+  return (
+    <main>
+      <section className="hero">
+        <div className="hero-content">
+          <RevealGroup stagger={100}>
+            <AnimatedSection className="hero-status" variant="zoom" threshold={0.2}>
+              <button
+                type="button"
+                className="hero-label hero-label-trigger"
+                data-availability={site.availability.state}
+                onClick={() => onEggInput?.({ type: 'tap', target: EGG_TARGETS.heroBadge })}
+                aria-label={t('hero.statusHint', { status })}
+              >
+                {status}
+              </button>
+              {site.availability.meetings && <ScheduleChat meetings={site.availability.meetings} />}
+            </AnimatedSection>
+            <AnimatedSection
+              as="h1"
+              className="hero-title"
+              variant="up"
+              threshold={0.2}
+              {...pressHandlers(onEggInput, EGG_TARGETS.heroName)}
+            >
+              {site.firstName} <span>{site.lastName}</span>
+            </AnimatedSection>
+            <AnimatedSection as="p" className="hero-subtitle" variant="up" threshold={0.2}>
+              {site.tagline}
+            </AnimatedSection>
+            <AnimatedSection className="hero-links" variant="up" threshold={0.2}>
+              <a href={site.links.github} target="_blank" rel="noreferrer">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/>
+                </svg>
+                GitHub
+              </a>
+              <a href={site.links.linkedin} target="_blank" rel="noreferrer">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+                  <path d="M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z"/>
+                </svg>
+                LinkedIn
+              </a>
+            </AnimatedSection>
+          </RevealGroup>
+        </div>
+      </section>
+
+      <section className="section">
+        <div className="container">
+          <div id="work">
+            <AnimatedSection className="section-header" variant="left" trackAs="work">
+              <p className="section-label">{t('sections.experienceLabel')}</p>
+              <h2 className="section-title">{t('sections.experienceTitle')}</h2>
+            </AnimatedSection>
+
+            <JobMatch jobMatch={jobMatch} />
+
+            <ExperienceAccordion
+              experiences={experiences}
+              skillFilter={skillFilter}
+              jobHighlights={jobMatch.match?.highlights}
+              isHoverCapable={isHoverCapable}
+            />
+          </div>
+        </div>
+      </section>
+
+      {testimonials.length > 0 && (
+        <section id="testimonials" className="section">
+          <div className="container">
+            <AnimatedSection className="section-header" variant="right" trackAs="testimonials">
+              <p className="section-label">{t('sections.testimonialsLabel')}</p>
+              <h2 className="section-title">{t('sections.testimonialsTitle')}</h2>
+            </AnimatedSection>
+
+            <AnimatedSection variant="up" delay={100}>
+              <TestimonialCarousel testimonials={testimonials} />
+            </AnimatedSection>
+          </div>
+        </section>
+      )}
+
+      <section id="projects" className="section">
+        <div className="container">
+          <AnimatedSection className="section-header" variant="left" trackAs="projects">
+            <p className="section-label">{t('sections.projectsLabel')}</p>
+            <h2 className="section-title">{t('sections.projectsTitle')}</h2>
+          </AnimatedSection>
+
+          <div className="projects-grid">
+            <RevealGroup stagger={120}>
+              {projects.map((project, index) => (
+                <ProjectCard
+                  key={project.slug}
+                  {...project}
+                  variant={index % 2 === 0 ? 'left' : 'right'}
+                  threshold={0.15}
+                />
+              ))}
+            </RevealGroup>
+          </div>
+        </div>
+      </section>
+
+      <section id="skills" className="section">
+        <div className="container">
+          <AnimatedSection className="section-header" variant="right" trackAs="skills">
+            <p className="section-label">{t('sections.skillsLabel')}</p>
+            <h2 className="section-title">{t('sections.skillsTitle')}</h2>
+          </AnimatedSection>
+
+          <div className="skills-grid">
+            <RevealGroup stagger={100}>
+              {skillCategories.map((category, index) => (
+                <SkillCard
+                  key={category.id}
+                  {...category}
+                  skillFilter={skillFilter}
+                  variant={index % 2 === 0 ? 'left' : 'right'}
+                  threshold={0.15}
+                />
+              ))}
+            </RevealGroup>
+          </div>
+        </div>
+      </section>
+
+      <section id="activity" className="section">
+        <div className="container">
+          <AnimatedSection variant="zoom" delay={100} trackAs="activity">
+            <GitHubActivity />
+          </AnimatedSection>
+        </div>
+      </section>
+
+      <section id="contact" className="contact">
+        <div className="container">
+          <AnimatedSection variant="up" delay={100} trackAs="contact">
+            <h2 className="contact-title">
+              {t.parts('contact.title', {
+                highlight: <span key="highlight">{t('contact.titleHighlight')}</span>
+              })}
+            </h2>
+            <p className="contact-subtitle">{t('contact.basedIn', { location: site.location })}</p>
+          </AnimatedSection>
+          <AnimatedSection variant="up" delay={180}>
+            <ContactForm />
+          </AnimatedSection>
+          <AnimatedSection variant="up" delay={100}>
+            <p className="contact-alt">{t('contact.preferEmail')}</p>
+            <a href={`mailto:${site.email}`} className="contact-email">
+              {site.email}
+            </a>
+            <div className="contact-actions">
+              <ResumeMenu label={t('resume.download')} align="center" />
+              <ContactShare />
+            </div>
+            <p className="contact-footer">
+              {site.education.institution} &apos;{String(site.education.graduationYear).slice(-2)}
+            </p>
+          </AnimatedSection>
+        </div>
+      </section>
+
+      <SkillFilterBar skillFilter={skillFilter} experiences={experiences} />
+    </main>
+  );
+};
+
+export default HomePage;
@@ -0,0 +1,22 @@
+import AnimatedSection from '../components/AnimatedSection.jsx';
+import Link from '../components/Link.jsx';
+import { useI18n } from '../i18n/context.js';
+
+const NotFoundPage = () => {
+  const { t } = useI18n();
+
+  return (
+    <main className="case-study">
+      <div className="container">
+        <AnimatedSection className="case-study-header" variant="up" threshold={0.2}>
+          <p className="section-label">{t('notFound.label')}</p>
+          <h1 className="case-study-title">{t('notFound.title')}</h1>
+          <p className="case-study-summary">{t('notFound.summary')}</p>
+          <Link to="/" className="btn btn-primary">{t('notFound.back')}</Link>
+        </AnimatedSection>
+      </div>
+    </main>
+  );
+};
+
+export default NotFoundPage;
@@ -0,0 +1,72 @@
+import { notes } from 'virtual:content';
+import AnimatedSection from '../components/AnimatedSection.jsx';
+import Link from '../components/Link.jsx';
+import NoteMeta from '../components/NoteMeta.jsx';
+import { useI18n } from '../i18n/context.js';
+import { DEFAULT_LOCALE, LOCALES } from '../i18n/locales.js';
+import { NOTES_PATH, notePath } from '../notes/feeds.js';
+import { navigate } from '../router/history.js';
+import NotFoundPage from './NotFoundPage.jsx';
+
+const isModifiedClick = (event) => (
+  event.button !== 0 || event.metaKey || event.altKey || event.ctrlKey || event.shiftKey
+);
+
+const NotePage = ({ slug }) => {
+  const { t, locale, localizePath } = useI18n();
+  const note = notes.find((entry) => entry.slug === slug);
+  if (!note) return <NotFoundPage />;
+
+  const noteLang = locale === DEFAULT_LOCALE ? undefined : LOCALES[DEFAULT_LOCALE].htmlLang;
+
+  // Links inside the Markdown are plain anchors; keep same-site ones in the
+  // client-side router like <Link> does.
+  const handleBodyClick = (event) => {
+    const link = event.target.closest('a[href^="/"]');
+    if (!link || link.target || isModifiedClick(event)) return;
+    event.preventDefault();
+    navigate(localizePath(link.getAttribute('href')));
+  };
+
+  return (
+    <main className="case-study">
+      <div className="container note-container">
+        <AnimatedSection as="header" className="case-study-header" variant="up" threshold={0.2}>
+          <Link to={NOTES_PATH} className="case-study-back">
+            <span aria-hidden="true">←</span> {t('notes.back')}
+          </Link>
+          <p className="section-label">{t('notes.label')}</p>
+          <h1 className="case-study-title" lang={noteLang}>{note.title}</h1>
+          <p className="case-study-summary" lang={noteLang}>{note.summary}</p>
+          <NoteMeta note={note} />
+          {noteLang && <p className="note-notice">{t('notes.defaultLanguageOnly')}</p>}
+        </AnimatedSection>
+
+        {/* Rendered from the repository's own Markdown at build time. */}
+        <article
+          className="note-body"
+          lang={noteLang}
+          onClick={handleBodyClick}
+          dangerouslySetInnerHTML={{ __html: note.html }}
+        />
+
+        <nav className="note-pager" aria-label={t('notes.pager')}>
+          {note.older && (
+            <Link to={notePath(note.older.slug)} className="note-pager-link" rel="prev">
+              <span className="note-pager-label">{t('notes.older')}</span>
+              <span lang={noteLang}>{note.older.title}</span>
+            </Link>
+          )}
+          {note.newer && (
+            <Link to={notePath(note.newer.slug)} className="note-pager-link is-newer" rel="next">
+              <span className="note-pager-label">{t('notes.newer')}</span>
+              <span lang={noteLang}>{note.newer.title}</span>
+            </Link>
+          )}
+        </nav>
+      </div>
+    </main>
+  );
+};
+
+export default NotePage;
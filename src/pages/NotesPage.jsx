@@ -0,0 +1,75 @@
+import { notes } from 'virtual:content';
+import AnimatedSection from '../components/AnimatedSection.jsx';
+import Link from '../components/Link.jsx';
+import NoteMeta from '../components/NoteMeta.jsx';
+import RevealGroup from '../components/RevealGroup.jsx';
+import { useI18n } from '../i18n/context.js';
+import { DEFAULT_LOCALE, LOCALES } from '../i18n/locales.js';
+import { NOTE_FEEDS, NOTES_PATH, notePath } from '../notes/feeds.js';
+import { noteHasTag } from '../notes/tags.js';
+import { useLocation } from '../router/history.js';
+import { getSkillIndex } from '../skills/skillIndex.js';
+
+const NotesPage = () => {
+  const { t, locale } = useI18n();
+  const { search } = useLocation();
+  const index = getSkillIndex(locale);
+  // Notes are only written in the default locale; mark them for other pages.
+  const noteLang = locale === DEFAULT_LOCALE ? undefined : LOCALES[DEFAULT_LOCALE].htmlLang;
+
+  const requested = new URLSearchParams(search).get('tag');
+  const activeTag = requested && index.has(requested) ? requested : null;
+  const visibleNotes = activeTag ? notes.filter((note) => noteHasTag(note, activeTag, index)) : notes;
+
+  return (
+    <main className="case-study">
+      <div className="container">
+        <AnimatedSection className="case-study-header" variant="up" threshold={0.2}>
+          <p className="section-label">{t('notes.label')}</p>
+          <h1 className="case-study-title">{t('notes.title')}</h1>
+          <p className="case-study-summary">{t('notes.summary')}</p>
+          {noteLang && <p className="note-notice">{t('notes.defaultLanguageOnly')}</p>}
+          <p className="note-feeds">
+            {NOTE_FEEDS.map((feed) => (
+              <a key={feed.id} href={feed.path} type={feed.mimeType}>
+                {t(`notes.feeds.${feed.id}`)}
+              </a>
+            ))}
+          </p>
+        </AnimatedSection>
+
+        {activeTag && (
+          <p className="note-filter" role="status">
+            {t('notes.filteredBy', { tag: index.labelOf(activeTag), count: visibleNotes.length })}
+            {' '}
+            <Link to={NOTES_PATH} className="note-filter-clear">{t('notes.clearFilter')}</Link>
+          </p>
+        )}
+
+        {visibleNotes.length === 0 && <p className="note-empty">{t('notes.empty')}</p>}
+
+        <ol className="note-list">
+          <RevealGroup stagger={80} maxSteps={4}>
+            {visibleNotes.map((note) => (
+              <AnimatedSection
+                key={note.slug}
+                as="li"
+                className="note-card"
+                variant="up"
+                threshold={0.15}
+              >
+                <h2 className="note-card-title" lang={noteLang}>
+                  <Link to={notePath(note.slug)}>{note.title}</Link>
+                </h2>
+                <p className="note-card-summary" lang={noteLang}>{note.summary}</p>
+                <NoteMeta note={note} activeTag={activeTag} />
+              </AnimatedSection>
+            ))}
+          </RevealGroup>
+        </ol>
+      </div>
+    </main>
+  );
+};
+
+export default NotesPage;
@@ -0,0 +1,102 @@
+import AnimatedSection from '../components/AnimatedSection.jsx';
+import Link from '../components/Link.jsx';
+import RevealGroup from '../components/RevealGroup.jsx';
+import { useI18n } from '../i18n/context.js';
+import NotFoundPage from './NotFoundPage.jsx';
+
+const ProjectPage = ({ slug }) => {
+  const { t, content: { experiences, projects } } = useI18n();
+  const project = projects.find((entry) => entry.slug === slug);
+  if (!project) return <NotFoundPage />;
+
+  const experience = experiences.find((entry) => entry.id === project.experienceId);
+  const projectIndex = projects.indexOf(project);
+  const nextProject = projects[(projectIndex + 1) % projects.length];
+
+  return (
+    <main className="case-study">
+      <div className="container">
+        <AnimatedSection className="case-study-header" variant="up" threshold={0.2}>
+          <Link to="/#projects" className="case-study-back">
+            <span aria-hidden="true">←</span> {t('projects.back')}
+          </Link>
+          <p className="section-label">{t('projects.caseStudyLabel')}</p>
+          <h1 className="case-study-title">{project.title}</h1>
+          <p className="case-study-summary">{project.summary}</p>
+          <div className="accordion-tags">
+            {project.stack.map((tag) => (
+              <span key={tag} className="accordion-tag">{tag}</span>
+            ))}
+          </div>
+        </AnimatedSection>
+
+        <AnimatedSection as="section" className="case-study-section" variant="left" threshold={0.15}>
+          <h2 className="case-study-heading">{t('projects.problem')}</h2>
+          <p className="case-study-text">{project.problem}</p>
+        </AnimatedSection>
+
+        <AnimatedSection as="section" className="case-study-section" variant="right" threshold={0.15}>
+          <h2 className="case-study-heading">{t('projects.approach')}</h2>
+          <ul className="accordion-list">
+            {project.approach.map((step, index) => (
+              <li key={index}>{step}</li>
+            ))}
+          </ul>
+        </AnimatedSection>
+
+        <section className="case-study-section">
+          <AnimatedSection as="h2" className="case-study-heading" variant="left" threshold={0.15}>
+            {t('projects.outcome')}
+          </AnimatedSection>
+          <dl className="case-study-metrics">
+            <RevealGroup stagger={100}>
+              {project.outcomes.map((outcome) => (
+                <AnimatedSection
+                  key={outcome.label}
+                  className="case-study-metric"
+                  variant="zoom"
+                  threshold={0.15}
+                >
+                  <dt>{outcome.label}</dt>
+                  <dd>{outcome.value}</dd>
+                </AnimatedSection>
+              ))}
+            </RevealGroup>
+          </dl>
+        </section>
+
+        {project.images?.map((image) => (
+          <AnimatedSection
+            key={image.src}
+            as="figure"
+            className="case-study-figure"
+            variant="zoom"
+            threshold={0.15}
+          >
+            <img src={image.src} alt={image.alt} loading="lazy" />
+            {image.caption && <figcaption>{image.caption}</figcaption>}
+          </AnimatedSection>
+        ))}
+
+        <AnimatedSection className="case-study-footer" variant="up" threshold={0.2}>
+          {experience && (
+            <p className="case-study-context">
+              {t.parts('projects.builtAt', {
+                company: <Link key="company" to={`/#work/${experience.id}`}>{experience.company}</Link>,
+                role: experience.role
+              })}
+            </p>
+          )}
+          {nextProject !== project && (
+            <Link to={`/projects/${nextProject.slug}`} className="btn btn-outline">
+              {t('projects.next', { title: nextProject.title })}
+              <span aria-hidden="true">→</span>
+            </Link>
+          )}
+        </AnimatedSection>
+      </div>
+    </main>
+  );
+};
+
+export default ProjectPage;
@@ -0,0 +1,106 @@
+import { useSyncExternalStore } from 'react';
+import { ANALYTICS_EVENT_TYPES, ANALYTICS_EVENTS } from '../analytics/events.js';
+import { isTrackingAllowed } from '../analytics/tracker.js';
+import AnimatedSection from '../components/AnimatedSection.jsx';
+import useEventStats from '../hooks/useEventStats.js';
+import { useI18n } from '../i18n/context.js';
+
+const TOP_LABELS = 8;
+const RECENT_DAYS = 14;
+
+const subscribeNever = () => () => {};
+
+const sortedCounts = (counts = {}) => Object.entries(counts).sort(([, a], [, b]) => b - a);
+
+const Bars = ({ rows, formatNumber }) => {
+  const max = Math.max(1, ...rows.map(([, count]) => count));
+
+  return (
+    <ol className="stats-bars">
+      {rows.map(([label, count]) => (
+        <li key={label} className="stats-bar">
+          <span className="stats-bar-label">{label}</span>
+          <span className="stats-bar-track" aria-hidden="true">
+            <span className="stats-bar-fill" style={{ width: `${(count / max) * 100}%` }} />
+          </span>
+          <span className="stats-bar-count">{formatNumber(count)}</span>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+const StatsPage = () => {
+  const { t, content, intlLocale, formatNumber } = useI18n();
+  const { status, stats } = useEventStats();
+  const isTracked = useSyncExternalStore(subscribeNever, isTrackingAllowed, () => true);
+  const formatDate = (iso) => new Intl.DateTimeFormat(intlLocale, { dateStyle: 'medium' }).format(new Date(iso));
+
+  // Experience ids read better as company names.
+  const describeLabel = (type, label) => {
+    if (type !== ANALYTICS_EVENTS.accordionOpen) return label;
+    return content.experiences.find((experience) => experience.id === label)?.company ?? label;
+  };
+
+  const recentDays = stats ? Object.entries(stats.days).sort(([a], [b]) => a.localeCompare(b)).slice(-RECENT_DAYS) : [];
+
+  return (
+    <main className="case-study">
+      <div className="container">
+        <AnimatedSection className="case-study-header" variant="up" threshold={0.2}>
+          <p className="section-label">{t('stats.label')}</p>
+          <h1 className="case-study-title">{t('stats.title')}</h1>
+          <p className="case-study-summary">{t('stats.summary')}</p>
+          {!isTracked && <p className="stats-note">{t('stats.optedOut')}</p>}
+        </AnimatedSection>
+
+        {status === 'loading' && <p className="stats-status">{t('stats.loading')}</p>}
+        {status === 'error' && <p className="stats-status">{t('stats.error')}</p>}
+
+        {status === 'ready' && (
+          <>
+            <p className="stats-status">
+              {t('stats.since', { date: formatDate(stats.since) })}
+              {stats.updatedAt && ` · ${t('stats.updated', { date: formatDate(stats.updatedAt) })}`}
+            </p>
+
+            <section className="case-study-section">
+              <dl className="case-study-metrics">
+                {ANALYTICS_EVENT_TYPES.map((type) => (
+                  <div key={type} className="case-study-metric">
+                    <dt>{t(`stats.events.${type}`)}</dt>
+                    <dd>{formatNumber(stats.totals[type] ?? 0)}</dd>
+                  </div>
+                ))}
+              </dl>
+            </section>
+
+            {ANALYTICS_EVENT_TYPES.filter((type) => stats.labels[type]).map((type) => (
+              <section key={type} className="case-study-section">
+                <h2 className="case-study-heading">{t(`stats.events.${type}`)}</h2>
+                <Bars
+                  rows={sortedCounts(stats.labels[type])
+                    .slice(0, TOP_LABELS)
+                    .map(([label, count]) => [describeLabel(type, label), count])}
+                  formatNumber={formatNumber}
+                />
+              </section>
+            ))}
+
+            {recentDays.length > 0 && (
+              <section className="case-study-section">
+                <h2 className="case-study-heading">{t('stats.recentDays', { count: RECENT_DAYS })}</h2>
+                <Bars
+                  rows={recentDays.map(([day, count]) => [formatDate(`${day}T12:00:00Z`), count])}
+                  formatNumber={formatNumber}
+                />
+              </section>
+            )}
+          </>
+        )}
+      </div>
+    </main>
+  );
+};
+
+export default StatsPage;
@@ -0,0 +1,135 @@
+import { notes } from 'virtual:content';
+import { LOCALE_CODES, LOCALES, localizePath } from '../i18n/locales.js';
+import { toggleMotion } from '../motion/motionStore.js';
+import { NOTES_PATH, notePath } from '../notes/feeds.js';
+import { RESUME_FORMATS, resumeFileName } from '../resume/formats.js';
+import { navigate } from '../router/history.js';
+
+// Commands for the palette. Each has an `id`, a `group`, a visible `label`,
+// optional search `keywords` and `run({ close, announce })`. Commands that
+// navigate or open something close the palette; the rest announce a result
+// and leave it open.
+
+const go = (to) => ({ close }) => {
+  close();
+  navigate(to);
+};
+
+const download = (href, fileName) => {
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+};
+
+export const PALETTE_GROUPS = ['sections', 'experiences', 'projects', 'notes', 'skills', 'actions'];
+
+export const buildCommands = ({ i18n, pathname, skillIndex, isMotionReduced }) => {
+  const { t, locale, content } = i18n;
+  const { site, experiences, projects, skillCategories } = content;
+  const home = (suffix = '') => localizePath(`/${suffix}`, locale);
+
+  const sections = [
+    { id: 'top', label: t('palette.sections.home'), to: home() },
+    { id: 'work', label: t('sections.experienceTitle'), to: home('#work') },
+    { id: 'projects', label: t('sections.projectsTitle'), to: home('#projects') },
+    { id: 'skills', label: t('sections.skillsTitle'), to: home('#skills') },
+    { id: 'activity', label: t('github.title'), to: home('#activity') },
+    { id: 'notes', label: t('notes.title'), to: localizePath(NOTES_PATH, locale) },
+    { id: 'contact', label: t('nav.contact'), to: home('#contact') }
+  ].map(({ id, label, to }) => ({ id: `section:${id}`, group: 'sections', label, run: go(to) }));
+
+  const experienceCommands = experiences.map((experience) => ({
+    id: `experience:${experience.id}`,
+    group: 'experiences',
+    label: experience.company,
+    hint: experience.role,
+    keywords: [experience.role, ...experience.tags],
+    run: go(home(`#work/${experience.id}`))
+  }));
+
+  const projectCommands = projects.map((project) => ({
+    id: `project:${project.slug}`,
+    group: 'projects',
+    label: project.title,
+    keywords: project.stack,
+    run: go(localizePath(`/projects/${project.slug}`, locale))
+  }));
+
+  const noteCommands = notes.map((note) => ({
+    id: `note:${note.slug}`,
+    group: 'notes',
+    label: note.title,
+    keywords: note.tags,
+    run: go(localizePath(notePath(note.slug), locale))
+  }));
+
+  const skillLabels = [...new Set([
+    ...skillCategories.flatMap((category) => category.skills),
+    ...experiences.flatMap((experience) => experience.tags)
+  ])];
+  const skillCommands = skillLabels.map((label) => {
+    const id = skillIndex.idOf(label);
+    return {
+      id: `skill:${id}`,
+      group: 'skills',
+      label,
+      hint: t('palette.filterBySkill'),
+      run: go(home(`?skill=${encodeURIComponent(id)}#work`))
+    };
+  });
+
+  const actions = [
+    {
+      id: 'action:copy-email',
+      label: t('palette.copyEmail'),
+      hint: site.email,
+      keywords: ['email', 'mail', site.email],
+      run: async ({ announce }) => {
+        try {
+          await navigator.clipboard.writeText(site.email);
+          announce(t('palette.copied'));
+        } catch {
+          announce(t('palette.copyFailed', { email: site.email }));
+        }
+      }
+    },
+    ...Object.entries(site.links).map(([name, url]) => ({
+      id: `action:open-${name}`,
+      label: t(`palette.openLink.${name}`),
+      hint: url.replace(/^https?:\/\/(www\.)?/, ''),
+      run: ({ close }) => {
+        close();
+        window.open(url, '_blank', 'noopener,noreferrer');
+      }
+    })),
+    ...RESUME_FORMATS.map((format) => ({
+      id: `action:resume-${format.id}`,
+      label: t('palette.downloadResume', { format: t(`resume.formats.${format.id}`) }),
+      keywords: ['resume', 'cv', format.extension],
+      run: ({ close }) => {
+        close();
+        download(format.path, resumeFileName(site.name, format));
+      }
+    })),
+    {
+      id: 'action:toggle-motion',
+      label: isMotionReduced ? t('palette.motionOn') : t('palette.motionOff'),
+      keywords: ['animation', 'motion'],
+      run: ({ announce }) => {
+        toggleMotion();
+        announce(isMotionReduced ? t('palette.motionOnDone') : t('palette.motionOffDone'));
+      }
+    },
+    ...LOCALE_CODES.filter((code) => code !== locale).map((code) => ({
+      id: `action:locale-${code}`,
+      label: t('palette.switchLanguage', { language: LOCALES[code].label }),
+      keywords: ['language', 'idioma', code],
+      run: go(localizePath(pathname, code))
+    }))
+  ].map((action) => ({ ...action, group: 'actions' }));
+
+  return [...sections, ...experienceCommands, ...projectCommands, ...noteCommands, ...skillCommands, ...actions];
+};
@@ -0,0 +1,67 @@
+// Small subsequence matcher for the command palette. Every query character
+// must appear in order; matches score higher when they are consecutive or
+// start a word. Accents and case are ignored, so "practica" finds "Práctica".
+
+const fold = (value) => value.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+const isWordStart = (text, index) => index === 0 || /[\s\-_/(&]/.test(text[index - 1]);
+
+/**
+ * Scores `text` against `query`. Returns null when it doesn't match, otherwise
+ * `{ score, indexes }` where `indexes` are the matched character positions.
+ */
+export const fuzzyMatch = (query, text) => {
+  const needle = fold(query.trim());
+  if (!needle) return { score: 0, indexes: [] };
+
+  const haystack = fold(text);
+  // Folding can change lengths (e.g. "ß"); fall back to a plain search then.
+  if (haystack.length !== text.length) {
+    const position = haystack.indexOf(needle);
+    return position === -1 ? null : { score: 1, indexes: [] };
+  }
+
+  const indexes = [];
+  let score = 0;
+  let previous = -2;
+  let from = 0;
+
+  for (const char of needle) {
+    if (char === ' ') continue;
+    const index = haystack.indexOf(char, from);
+    if (index === -1) return null;
+
+    score += 1;
+    if (index === previous + 1) score += 3;
+    if (isWordStart(text, index)) score += 4;
+    indexes.push(index);
+    previous = index;
+    from = index + 1;
+  }
+
+  // Prefer shorter labels and earlier matches when scores tie.
+  return { score: score - indexes[0] * 0.05 - haystack.length * 0.01, indexes };
+};
+
+/**
+ * Filters and ranks commands by their label and keywords. Commands keep their
+ * original order when the query is empty.
+ */
+export const searchCommands = (commands, query) => {
+  if (!query.trim()) return commands.map((command) => ({ command, indexes: [] }));
+
+  return commands
+    .map((command, order) => {
+      const labelMatch = fuzzyMatch(query, command.label);
+      const keywordScore = Math.max(
+        -Infinity,
+        ...(command.keywords ?? []).map((keyword) => fuzzyMatch(query, keyword)?.score ?? -Infinity)
+      );
+      const score = Math.max(labelMatch?.score ?? -Infinity, keywordScore - 2);
+      if (score === -Infinity) return null;
+      return { command, indexes: labelMatch?.indexes ?? [], score, order };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map(({ command, indexes }) => ({ command, indexes }));
+};
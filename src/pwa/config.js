@@ -0,0 +1,21 @@
+// Paths shared by plugins/pwa.js, which generates the manifest, icons and
+// service worker at build time, and the client code that registers the worker.
+
+import { CONTRIBUTIONS_SNAPSHOT_PATH } from '../github/contributions.js';
+
+export const MANIFEST_PATH = '/manifest.webmanifest';
+export const SERVICE_WORKER_PATH = '/sw.js';
+
+// `padded` icons keep the mark inside the maskable safe zone on a full-bleed
+// background; the others use the rounded favicon shape.
+export const PWA_ICONS = [
+  { path: '/icons/icon-192.png', size: 192, purpose: 'any' },
+  { path: '/icons/icon-512.png', size: 512, purpose: 'any' },
+  { path: '/icons/icon-maskable-512.png', size: 512, purpose: 'maskable', padded: true }
+];
+
+export const APPLE_TOUCH_ICON = { path: '/apple-touch-icon.png', size: 180, padded: true };
+
+// Data that changes between deploys is served from cache and refreshed in the
+// background; everything else the build emits is cache-first.
+export const REVALIDATE_PATHS = [CONTRIBUTIONS_SNAPSHOT_PATH];
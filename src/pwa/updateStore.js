@@ -0,0 +1,74 @@
+import { useSyncExternalStore } from 'react';
+import { SERVICE_WORKER_PATH } from './config.js';
+
+// Tracks a new service worker that has installed behind the current one. The
+// page keeps running on the old version until the visitor chooses to reload.
+
+const UPDATE_EVENT = 'app:updateavailable';
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let waitingWorker = null;
+let dismissed = false;
+let applying = false;
+
+const setWaiting = (worker) => {
+  waitingWorker = worker;
+  dismissed = false;
+  window.dispatchEvent(new Event(UPDATE_EVENT));
+};
+
+// The first install has no controller to replace, so it isn't an update.
+const watchInstalling = (worker) => {
+  worker.addEventListener('statechange', () => {
+    if (worker.state === 'installed' && navigator.serviceWorker.controller) setWaiting(worker);
+  });
+};
+
+/** Registers the service worker and keeps checking for new deploys. */
+export const registerServiceWorker = async () => {
+  if (!('serviceWorker' in navigator)) return;
+
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register(SERVICE_WORKER_PATH);
+  } catch {
+    return;
+  }
+
+  if (registration.waiting && navigator.serviceWorker.controller) setWaiting(registration.waiting);
+  if (registration.installing) watchInstalling(registration.installing);
+  registration.addEventListener('updatefound', () => watchInstalling(registration.installing));
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!applying) return;
+    applying = false;
+    window.location.reload();
+  });
+
+  const checkForUpdate = () => registration.update().catch(() => {});
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') checkForUpdate();
+  });
+  window.setInterval(checkForUpdate, UPDATE_CHECK_INTERVAL_MS);
+};
+
+/** Activates the waiting worker; the page reloads once it takes control. */
+export const applyUpdate = () => {
+  if (!waitingWorker) return;
+  applying = true;
+  waitingWorker.postMessage({ type: 'skip-waiting' });
+};
+
+export const dismissUpdate = () => {
+  dismissed = true;
+  window.dispatchEvent(new Event(UPDATE_EVENT));
+};
+
+const subscribe = (callback) => {
+  window.addEventListener(UPDATE_EVENT, callback);
+  return () => window.removeEventListener(UPDATE_EVENT, callback);
+};
+
+const isUpdateAvailable = () => waitingWorker !== null && !dismissed;
+
+export const useUpdateAvailable = () => useSyncExternalStore(subscribe, isUpdateAvailable, () => false);
@@ -0,0 +1,89 @@
+/**
+ * The service worker. plugins/pwa.js serializes this function into sw.js with
+ * the build's version and file list, so it must stay self-contained.
+ *
+ * Every file the build wrote is precached under a versioned cache name and
+ * served cache-first, pages included, so a visit works fully offline and a
+ * page never mixes assets from two deploys. `revalidate` paths are served
+ * stale-while-revalidate from a runtime cache instead. A new version installs
+ * in the background and waits until the page posts `skip-waiting`.
+ */
+export function serviceWorker({ version, precache, revalidate, notFound }) {
+  var PRECACHE_PREFIX = 'precache-';
+  var PRECACHE = PRECACHE_PREFIX + version;
+  var RUNTIME = 'runtime';
+
+  self.addEventListener('install', function (event) {
+    event.waitUntil(caches.open(PRECACHE).then(function (cache) {
+      return cache.addAll(precache);
+    }));
+  });
+
+  self.addEventListener('activate', function (event) {
+    event.waitUntil(caches.keys().then(function (keys) {
+      return Promise.all(keys
+        .filter(function (key) { return key.indexOf(PRECACHE_PREFIX) === 0 && key !== PRECACHE; })
+        .map(function (key) { return caches.delete(key); }));
+    }).then(function () {
+      return self.clients.claim();
+    }));
+  });
+
+  self.addEventListener('message', function (event) {
+    if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+  });
+
+  var fromPrecache = function (url) {
+    return caches.open(PRECACHE).then(function (cache) {
+      return cache.match(url, { ignoreSearch: true });
+    });
+  };
+
+  var staleWhileRevalidate = function (event) {
+    var refresh = fetch(event.request).then(function (response) {
+      if (response.ok) {
+        var copy = response.clone();
+        event.waitUntil(caches.open(RUNTIME).then(function (cache) {
+          return cache.put(event.request, copy);
+        }));
+      }
+      return response;
+    });
+
+    return caches.open(RUNTIME)
+      .then(function (cache) { return cache.match(event.request); })
+      .then(function (cached) { return cached || fromPrecache(event.request.url); })
+      .then(function (cached) {
+        if (!cached) return refresh;
+        event.waitUntil(refresh.catch(function () {}));
+        return cached;
+      });
+  };
+
+  // Pages are cached under their clean URL ("/notes", not "/notes/").
+  var navigate = function (request, url) {
+    var pathname = url.pathname.replace(/\/+$/, '') || '/';
+    return fromPrecache(url.origin + pathname).then(function (cached) {
+      return cached || fetch(request).catch(function () {
+        return fromPrecache(url.origin + notFound);
+      });
+    });
+  };
+
+  self.addEventListener('fetch', function (event) {
+    var request = event.request;
+    var url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    if (url.pathname.indexOf('/api/') === 0) return;
+
+    if (revalidate.indexOf(url.pathname) !== -1) {
+      event.respondWith(staleWhileRevalidate(event));
+    } else if (request.mode === 'navigate') {
+      event.respondWith(navigate(request, url));
+    } else {
+      event.respondWith(fromPrecache(request.url).then(function (cached) {
+        return cached || fetch(request);
+      }));
+    }
+  });
+}
@@ -0,0 +1,13 @@
+// Resume files generated from the site content at build time (see
+// plugins/resume). Paths are served from the site root; labels live in the
+// i18n catalogs under `resume.formats.<id>`.
+export const RESUME_FORMATS = [
+  { id: 'pdf', path: '/resume.pdf', extension: 'pdf', mimeType: 'application/pdf' },
+  { id: 'json', path: '/resume.json', extension: 'json', mimeType: 'application/json' },
+  { id: 'markdown', path: '/resume.md', extension: 'md', mimeType: 'text/markdown; charset=utf-8' },
+  { id: 'text', path: '/resume.txt', extension: 'txt', mimeType: 'text/plain; charset=utf-8' }
+];
+
+export const resumeFileName = (name, format) => (
+  `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-resume.${format.extension}`
+);
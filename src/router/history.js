@@ -0,0 +1,70 @@
+import { useMemo, useSyncExternalStore } from 'react';
+
+// A minimal history-API router. Locations are read straight from
+// `window.location`; `navigate` pushes a new entry and notifies subscribers, and
+// back/forward arrive as `popstate`.
+
+const NAVIGATE_EVENT = 'app:navigate';
+
+let lastNavigation = 'pop';
+
+const subscribe = (callback) => {
+  window.addEventListener('popstate', callback);
+  window.addEventListener('hashchange', callback);
+  window.addEventListener(NAVIGATE_EVENT, callback);
+  return () => {
+    window.removeEventListener('popstate', callback);
+    window.removeEventListener('hashchange', callback);
+    window.removeEventListener(NAVIGATE_EVENT, callback);
+  };
+};
+
+const getSnapshot = () => `${window.location.pathname}${window.location.search}${window.location.hash}`;
+
+// During prerendering there is no window; the renderer sets the URL being
+// rendered. While hydrating, the browser's real pathname is used so server and
+// client agree on the route. Pages are prerendered without a query or hash, so
+// both are left out until hydration has finished and state derived from them
+// renders after.
+let serverHref = '/';
+
+export const setServerLocation = (href) => {
+  serverHref = href;
+};
+
+const getServerSnapshot = () => (typeof window === 'undefined' ? serverHref : window.location.pathname);
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('popstate', () => {
+    lastNavigation = 'pop';
+  });
+}
+
+export const navigate = (to, { replace = false } = {}) => {
+  const current = getSnapshot();
+  if (to === current) return;
+
+  lastNavigation = replace ? 'replace' : 'push';
+  if (replace) {
+    window.history.replaceState(null, '', to);
+  } else {
+    window.history.pushState(null, '', to);
+  }
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+};
+
+/**
+ * How the current location was reached: 'push', 'replace' or 'pop'. Replaced
+ * entries record state (e.g. an open accordion) rather than a visit, so they
+ * should not move the scroll position.
+ */
+export const getLastNavigation = () => lastNavigation;
+
+export const useLocation = () => {
+  const href = useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
+
+  return useMemo(() => {
+    const url = new URL(href, 'http://localhost');
+    return { pathname: url.pathname, search: url.search, hash: url.hash, href };
+  }, [href]);
+};
@@ -0,0 +1,188 @@
+import { notes, projects } from 'virtual:content';
+import { DEFAULT_LOCALE, LOCALE_CODES, LOCALES, localizePath, splitLocalePath } from '../i18n/locales.js';
+import HomePage from '../pages/HomePage.jsx';
+import ProjectPage from '../pages/ProjectPage.jsx';
+import NotePage from '../pages/NotePage.jsx';
+import NotesPage from '../pages/NotesPage.jsx';
+import NotFoundPage from '../pages/NotFoundPage.jsx';
+import StatsPage from '../pages/StatsPage.jsx';
+import { NOTES_PATH, notePath } from '../notes/feeds.js';
+import { absoluteUrl, buildReviews, PERSON_ID } from '../seo/head.js';
+import { noteCardPath, projectCardPath } from '../seo/ogImages.js';
+
+const notFoundMeta = (pathname, { t, content: { site } }) => ({
+  title: t('meta.notFoundTitle', { name: site.name }),
+  description: t('meta.description', { name: site.name, tagline: site.tagline }),
+  path: pathname,
+  noindex: true
+});
+
+const notFoundRoute = {
+  path: '*',
+  component: NotFoundPage,
+  meta: ({ pathname }, i18n) => notFoundMeta(pathname, i18n)
+};
+
+// Route paths are locale-neutral; the locale prefix is split off before
+// matching. `meta` receives the route params plus the unprefixed `pathname`,
+// and the active i18n object, and describes the page for the document head.
+// `paths` lists every concrete URL the build prerenders (once per locale).
+export const routes = [
+  {
+    path: '/',
+    component: HomePage,
+    paths: () => ['/'],
+    meta: (params, { t, content, htmlLang, localizePath: localize }) => ({
+      title: t('meta.homeTitle', { name: content.site.name, title: content.site.title }),
+      description: t('meta.description', { name: content.site.name, tagline: content.site.tagline }),
+      path: '/',
+      type: 'profile',
+      structuredData: buildReviews(content, absoluteUrl(localize('/')), htmlLang)
+    })
+  },
+  {
+    path: '/projects/:slug',
+    component: ProjectPage,
+    paths: () => projects.map((project) => `/projects/${project.slug}`),
+    meta: ({ slug, pathname }, i18n) => {
+      const { t, content, localizePath: localize } = i18n;
+      const project = content.projects.find((entry) => entry.slug === slug);
+      if (!project) return notFoundMeta(pathname, i18n);
+
+      const path = `/projects/${project.slug}`;
+      return {
+        title: t('meta.pageTitle', { title: project.title, name: content.site.name }),
+        description: project.summary,
+        path,
+        type: 'article',
+        image: { path: projectCardPath(project.slug, i18n.locale), alt: t('meta.cardAlt', { title: project.title }) },
+        structuredData: [{
+          '@type': 'CreativeWork',
+          '@id': `${absoluteUrl(localize(path))}#project`,
+          name: project.title,
+          abstract: project.summary,
+          url: absoluteUrl(localize(path)),
+          inLanguage: i18n.htmlLang,
+          keywords: project.stack.join(', '),
+          image: project.images?.map((image) => absoluteUrl(image.src)),
+          creator: { '@id': PERSON_ID }
+        }]
+      };
+    }
+  },
+  {
+    path: NOTES_PATH,
+    component: NotesPage,
+    paths: () => [NOTES_PATH],
+    meta: (params, { t, content: { site } }) => ({
+      title: t('meta.pageTitle', { title: t('notes.title'), name: site.name }),
+      description: t('notes.summary'),
+      path: NOTES_PATH
+    })
+  },
+  {
+    path: `${NOTES_PATH}/:slug`,
+    component: NotePage,
+    paths: () => notes.map((note) => notePath(note.slug)),
+    meta: ({ slug, pathname }, i18n) => {
+      const { t, content: { site }, localizePath: localize } = i18n;
+      const note = notes.find((entry) => entry.slug === slug);
+      if (!note) return notFoundMeta(pathname, i18n);
+
+      const path = notePath(note.slug);
+      const publishedTime = `${note.date}T00:00:00Z`;
+      const modifiedTime = note.updated ? `${note.updated}T00:00:00Z` : null;
+      return {
+        title: t('meta.pageTitle', { title: note.title, name: site.name }),
+        description: note.summary,
+        path,
+        type: 'article',
+        noindex: note.draft,
+        image: { path: noteCardPath(note.slug), alt: t('meta.cardAlt', { title: note.title }) },
+        article: { publishedTime, modifiedTime, tags: note.tags },
+        structuredData: [{
+          '@type': 'BlogPosting',
+          '@id': `${absoluteUrl(localize(path))}#note`,
+          headline: note.title,
+          description: note.summary,
+          url: absoluteUrl(localize(path)),
+          // Notes are written in the default locale whatever the page locale.
+          inLanguage: LOCALES[DEFAULT_LOCALE].htmlLang,
+          datePublished: publishedTime,
+          dateModified: modifiedTime ?? publishedTime,
+          keywords: note.tags.join(', '),
+          image: absoluteUrl(noteCardPath(note.slug)),
+          author: { '@id': PERSON_ID }
+        }]
+      };
+    }
+  },
+  {
+    path: '/stats',
+    component: StatsPage,
+    paths: () => ['/stats'],
+    meta: (params, { t, content: { site } }) => ({
+      title: t('meta.pageTitle', { title: t('stats.title'), name: site.name }),
+      description: t('stats.summary'),
+      path: '/stats',
+      noindex: true
+    })
+  }
+];
+
+const trimSlash = (pathname) => (pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname);
+
+const matchPath = (pattern, pathname) => {
+  const patternParts = pattern.split('/');
+  const pathParts = trimSlash(pathname).split('/');
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let index = 0; index < patternParts.length; index += 1) {
+    const part = patternParts[index];
+    if (part.startsWith(':')) {
+      // A malformed escape (`/projects/%E0`) matches nothing, so it ends up
+      // on the not found page.
+      try {
+        params[part.slice(1)] = decodeURIComponent(pathParts[index]);
+      } catch {
+        return null;
+      }
+    } else if (part !== pathParts[index]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+/**
+ * Matches a full pathname, locale prefix included. The result carries the
+ * route's `params`, the `locale` and the unprefixed `pathname`.
+ */
+export const matchRoute = (fullPathname) => {
+  const { locale, path: pathname } = splitLocalePath(fullPathname);
+  for (const route of routes) {
+    const params = matchPath(route.path, pathname);
+    if (params) return { ...route, params, locale, pathname };
+  }
+  return { ...notFoundRoute, params: {}, locale, pathname };
+};
+
+export const getRouteMeta = (route, i18n) => route.meta(
+  { ...route.params, pathname: route.pathname },
+  i18n
+);
+
+const toFileName = (url) => (url === '/' ? 'index.html' : `${url.slice(1)}/index.html`);
+
+/**
+ * Every URL the build should prerender in every locale, plus the 404 page.
+ * Hosting serves a single root 404.html, so it is only rendered once.
+ */
+export const getPrerenderPages = () => [
+  ...LOCALE_CODES.flatMap((locale) => routes.flatMap((route) => route.paths().map((path) => {
+    const url = localizePath(path, locale);
+    return { url, file: toFileName(url) };
+  }))),
+  { url: '/404', file: '404.html' }
+];
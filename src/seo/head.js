@@ -0,0 +1,196 @@
+import { site } from 'virtual:content';
+import { parseDateRange } from '../experience/dates.js';
+import { DEFAULT_LOCALE, LOCALE_CODES, LOCALES, localizePath } from '../i18n/locales.js';
+import { NOTE_FEEDS } from '../notes/feeds.js';
+import { OG_IMAGE_SIZE, siteCardPath } from './ogImages.js';
+
+// Head tags are described as plain `{ tag, attrs, text }` objects so the same
+// list can be serialized by the prerenderer and applied to the live document
+// on client-side navigation. Every managed element carries `data-head`.
+
+export const PERSON_ID = `${site.url}/#person`;
+const WEBSITE_ID = `${site.url}/#website`;
+
+export const absoluteUrl = (path) => new URL(path, site.url).href;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const isCurrentRole = (experience) => parseDateRange(experience.date)?.isCurrent ?? false;
+
+const buildPerson = ({ site, experiences, skillCategories }) => ({
+  '@type': 'Person',
+  '@id': PERSON_ID,
+  name: site.name,
+  givenName: site.firstName,
+  familyName: site.lastName,
+  jobTitle: site.title,
+  description: site.tagline,
+  email: `mailto:${site.email}`,
+  url: absoluteUrl('/'),
+  sameAs: Object.values(site.links),
+  address: { '@type': 'PostalAddress', addressLocality: site.location },
+  alumniOf: { '@type': 'CollegeOrUniversity', name: site.education.institution },
+  knowsAbout: skillCategories.flatMap((category) => category.skills),
+  worksFor: experiences
+    .filter(isCurrentRole)
+    .map((experience) => ({ '@type': 'Organization', name: experience.company })),
+  hasOccupation: experiences.map((experience) => ({
+    '@type': 'Occupation',
+    name: experience.role,
+    description: experience.description,
+    skills: experience.tags.join(', '),
+    occupationLocation: { '@type': 'Place', name: experience.company },
+    responsibilities: experience.details
+  }))
+});
+
+const buildWebsite = () => ({
+  '@type': 'WebSite',
+  '@id': WEBSITE_ID,
+  url: absoluteUrl('/'),
+  name: site.name,
+  inLanguage: LOCALE_CODES.map((code) => LOCALES[code].htmlLang),
+  author: { '@id': PERSON_ID }
+});
+
+/**
+ * A schema.org Review of the site owner for each testimonial, identified by
+ * its slide on the page at `pageUrl`.
+ */
+export const buildReviews = ({ testimonials }, pageUrl, htmlLang) => testimonials.map((testimonial) => ({
+  '@type': 'Review',
+  '@id': `${pageUrl}#testimonial-${testimonial.id}`,
+  itemReviewed: { '@id': PERSON_ID },
+  reviewBody: testimonial.quote,
+  inLanguage: htmlLang,
+  author: {
+    '@type': 'Person',
+    name: testimonial.name,
+    jobTitle: testimonial.title,
+    worksFor: { '@type': 'Organization', name: testimonial.organization },
+    image: testimonial.avatar && absoluteUrl(testimonial.avatar)
+  }
+}));
+
+export const buildStructuredData = (meta, content) => ({
+  '@context': 'https://schema.org',
+  '@graph': [buildPerson(content), buildWebsite(), ...(meta.structuredData ?? [])]
+});
+
+// One alternate per locale plus `x-default`, so search engines can link the
+// translations of a page together.
+const buildAlternates = (path) => [
+  ...LOCALE_CODES.map((code) => ({
+    tag: 'link',
+    attrs: { rel: 'alternate', hreflang: LOCALES[code].htmlLang, href: absoluteUrl(localizePath(path, code)) }
+  })),
+  { tag: 'link', attrs: { rel: 'alternate', hreflang: 'x-default', href: absoluteUrl(localizePath(path, DEFAULT_LOCALE)) } }
+];
+
+// Articles describe when they were published and what they are about.
+const buildArticleTags = (article) => [
+  { tag: 'meta', attrs: { property: 'article:published_time', content: article.publishedTime } },
+  ...(article.modifiedTime
+    ? [{ tag: 'meta', attrs: { property: 'article:modified_time', content: article.modifiedTime } }]
+    : []),
+  ...(article.tags ?? []).map((tag) => ({ tag: 'meta', attrs: { property: 'article:tag', content: tag } }))
+];
+
+// The social card rendered by plugins/og; pages without one share the site card.
+const buildImageTags = ({ path, alt }) => [
+  { tag: 'meta', attrs: { property: 'og:image', content: absoluteUrl(path) } },
+  { tag: 'meta', attrs: { property: 'og:image:type', content: 'image/png' } },
+  { tag: 'meta', attrs: { property: 'og:image:width', content: String(OG_IMAGE_SIZE.width) } },
+  { tag: 'meta', attrs: { property: 'og:image:height', content: String(OG_IMAGE_SIZE.height) } },
+  { tag: 'meta', attrs: { property: 'og:image:alt', content: alt } },
+  { tag: 'meta', attrs: { name: 'twitter:image', content: absoluteUrl(path) } },
+  { tag: 'meta', attrs: { name: 'twitter:image:alt', content: alt } }
+];
+
+/**
+ * Turns route meta (`title`, `description`, locale-neutral `path`, optional
+ * `type`, `noindex`, `image`, `article` and `structuredData`) into the full
+ * list of managed head tags for the given i18n object's locale and content.
+ */
+export const buildHeadTags = (meta, { locale, content, t }) => {
+  const canonical = absoluteUrl(localizePath(meta.path, locale));
+  const image = meta.image ?? {
+    path: siteCardPath(locale),
+    alt: t('meta.cardAlt', { title: t('meta.homeTitle', { name: content.site.name, title: content.site.title }) })
+  };
+  const tags = [
+    { tag: 'title', text: meta.title },
+    { tag: 'meta', attrs: { name: 'description', content: meta.description } },
+    { tag: 'link', attrs: { rel: 'canonical', href: canonical } },
+    { tag: 'meta', attrs: { property: 'og:type', content: meta.type ?? 'website' } },
+    { tag: 'meta', attrs: { property: 'og:site_name', content: site.name } },
+    { tag: 'meta', attrs: { property: 'og:title', content: meta.title } },
+    { tag: 'meta', attrs: { property: 'og:description', content: meta.description } },
+    { tag: 'meta', attrs: { property: 'og:url', content: canonical } },
+    { tag: 'meta', attrs: { property: 'og:locale', content: LOCALES[locale].ogLocale } },
+    ...LOCALE_CODES
+      .filter((code) => code !== locale)
+      .map((code) => ({ tag: 'meta', attrs: { property: 'og:locale:alternate', content: LOCALES[code].ogLocale } })),
+    { tag: 'meta', attrs: { name: 'twitter:card', content: 'summary_large_image' } },
+    { tag: 'meta', attrs: { name: 'twitter:title', content: meta.title } },
+    { tag: 'meta', attrs: { name: 'twitter:description', content: meta.description } },
+    ...buildImageTags(image),
+    ...(meta.article ? buildArticleTags(meta.article) : []),
+    ...NOTE_FEEDS.map((feed) => ({
+      tag: 'link',
+      attrs: {
+        rel: 'alternate',
+        type: feed.mimeType,
+        title: t('notes.feedTitle', { name: site.name }),
+        href: absoluteUrl(feed.path)
+      }
+    }))
+  ];
+
+  if (meta.noindex) {
+    tags.push({ tag: 'meta', attrs: { name: 'robots', content: 'noindex' } });
+  } else {
+    tags.push(...buildAlternates(meta.path));
+  }
+
+  tags.push({
+    tag: 'script',
+    attrs: { type: 'application/ld+json' },
+    // `<` is escaped so content can never close the script element early.
+    text: JSON.stringify(buildStructuredData(meta, content)).replace(/</g, '\\u003c')
+  });
+
+  return tags;
+};
+
+export const renderHeadTags = (tags) => tags
+  .map(({ tag, attrs = {}, text }) => {
+    const attributes = Object.entries(attrs)
+      .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+      .join('');
+    if (tag === 'meta' || tag === 'link') return `<${tag} data-head${attributes} />`;
+    const content = tag === 'script' ? text : escapeHtml(text);
+    return `<${tag} data-head${attributes}>${content}</${tag}>`;
+  })
+  .join('\n    ');
+
+export const applyHeadTags = (tags) => {
+  document.head.querySelectorAll('[data-head]:not(title)').forEach((element) => element.remove());
+
+  tags.forEach(({ tag, attrs = {}, text }) => {
+    if (tag === 'title') {
+      document.title = text;
+      return;
+    }
+
+    const element = document.createElement(tag);
+    element.setAttribute('data-head', '');
+    Object.entries(attrs).forEach(([name, value]) => element.setAttribute(name, value));
+    if (text !== undefined) element.textContent = text;
+    document.head.appendChild(element);
+  });
+};
@@ -0,0 +1,12 @@
+// Paths of the social cards plugins/og renders at build time. The site card
+// stands in for every page without a card of its own.
+
+export const OG_IMAGE_DIR = '/og';
+export const OG_IMAGE_SIZE = { width: 1200, height: 630 };
+
+export const siteCardPath = (locale) => `${OG_IMAGE_DIR}/${locale}/site.png`;
+
+export const projectCardPath = (slug, locale) => `${OG_IMAGE_DIR}/${locale}/projects/${slug}.png`;
+
+// Notes are only written in the default locale, so they have one card.
+export const noteCardPath = (slug) => `${OG_IMAGE_DIR}/notes/${slug}.png`;
@@ -0,0 +1,50 @@
+import { createI18n } from '../i18n/createI18n.js';
+import { LOCALE_CODES, LOCALES, localizePath } from '../i18n/locales.js';
+import { getPrerenderPages, getRouteMeta, matchRoute } from '../router/routes.js';
+import { absoluteUrl } from './head.js';
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * One entry per indexable prerendered page, each listing its translations.
+ * Pages whose meta is `noindex` (and the 404 page) are left out; articles
+ * report when they last changed.
+ */
+export const getSitemapEntries = () => getPrerenderPages().flatMap(({ url }) => {
+  const route = matchRoute(url);
+  const meta = getRouteMeta(route, createI18n(route.locale));
+  if (meta.noindex) return [];
+
+  return [{
+    loc: absoluteUrl(url),
+    lastmod: meta.article ? (meta.article.modifiedTime ?? meta.article.publishedTime) : null,
+    alternates: LOCALE_CODES.map((code) => ({
+      hreflang: LOCALES[code].htmlLang,
+      href: absoluteUrl(localizePath(meta.path, code))
+    }))
+  }];
+});
+
+export const renderSitemap = (entries = getSitemapEntries()) => {
+  const urls = entries.map(({ loc, lastmod, alternates }) => [
+    '  <url>',
+    `    <loc>${escapeXml(loc)}</loc>`,
+    ...(lastmod ? [`    <lastmod>${lastmod.slice(0, 10)}</lastmod>`] : []),
+    ...alternates.map(({ hreflang, href }) => (
+      `    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${escapeXml(href)}" />`
+    )),
+    '  </url>'
+  ].join('\n'));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${urls.join('\n')}
+</urlset>
+`;
+};
+
+export const renderRobots = () => `User-agent: *\nAllow: /\n\nSitemap: ${absoluteUrl('/sitemap.xml')}\n`;
@@ -0,0 +1,164 @@
+import { toSkillId, wordPattern } from './skillIndex.js';
+
+// Scores the portfolio against a pasted job description, entirely in the
+// browser. Skills are recognised from the portfolio's own vocabulary plus the
+// common ones in job-skills.json; keywords are the other words the description
+// repeats. Matching goes through the skill synonyms, so a posting asking for
+// Power Apps counts Power Platform experience.
+
+// Lines naming nice-to-haves count half; hard requirements half as much again.
+const OPTIONAL = /\b(?:preferred|nice to have|bonus|a plus|desired|deseable|valorable)\b/i;
+const REQUIRED = /\b(?:required|requirements|must|minimum|qualifications|requisitos|imprescindible)\b/i;
+// Section names that go back to the normal weight.
+const NEUTRAL = /\b(?:about|responsibilities|duties|what you(?:'|’)ll do|benefits|responsabilidades|funciones)\b/i;
+const OPTIONAL_WEIGHT = 0.5;
+const REQUIRED_WEIGHT = 1.5;
+// Every further line mentioning a skill adds to its weight, up to twice over.
+const REPEAT_BONUS = 0.25;
+const MAX_REPEATS = 2;
+
+const MIN_KEYWORD_LENGTH = 4;
+const MIN_KEYWORD_COUNT = 2;
+const MAX_KEYWORDS = 8;
+
+// Words too common in job descriptions to say anything about fit.
+const STOPWORDS = new Set([
+  'about', 'ability', 'able', 'across', 'also', 'applicants', 'apply', 'based', 'benefits', 'candidate',
+  'candidates', 'company', 'complete', 'degree', 'duties', 'each', 'employee', 'employees', 'employment',
+  'environment', 'equal', 'excellent', 'experience', 'from', 'full', 'have', 'help', 'including', 'into',
+  'join', 'knowledge', 'looking', 'more', 'must', 'other', 'opportunity', 'our', 'over', 'part', 'position',
+  'preferred', 'provide', 'qualifications', 'related', 'required', 'requirements', 'responsibilities',
+  'role', 'should', 'skill', 'skills', 'strong', 'such', 'team', 'that', 'their', 'them', 'there', 'these',
+  'they', 'this', 'through', 'time', 'using', 'well', 'were', 'what', 'when', 'where', 'which', 'while',
+  'will', 'with', 'within', 'work', 'working', 'would', 'year', 'years', 'your'
+]);
+
+const weightOf = (line) => {
+  if (OPTIONAL.test(line)) return OPTIONAL_WEIGHT;
+  if (REQUIRED.test(line)) return REQUIRED_WEIGHT;
+  return null;
+};
+
+const isHeading = (line) => line.endsWith(':')
+  || (line.length <= 40 && !/[.,;]/.test(line) && [OPTIONAL, REQUIRED, NEUTRAL].some((pattern) => pattern.test(line)));
+
+// Each non-empty line with its weight. A heading sets the weight of the lines
+// under it until the next heading; a line can also mark itself.
+const weightedLines = (text) => {
+  let section = 1;
+  return text
+    .split(/\r?\n|(?<=[.;!?])\s+|\s+[•·▪-]\s+/)
+    .map((line) => line.replace(/^[\s•·▪*-]+/, '').trim())
+    .filter(Boolean)
+    .map((line) => {
+      const own = weightOf(line);
+      if (isHeading(line)) section = own ?? 1;
+      return { line, weight: own ?? section };
+    });
+};
+
+// The portfolio's skills and tags, plus job-skills.json, each with every way
+// it is written. Groups naming a portfolio skill add to its spellings.
+const vocabulary = (index, jobSkills) => {
+  const terms = new Map(index.ids().map((id) => [id, { id, label: index.labelOf(id), spellings: index.spellingsOf(id) }]));
+  jobSkills.forEach((group) => {
+    const id = group.map((spelling) => index.idOf(spelling)).find(Boolean) ?? toSkillId(group[0]);
+    const term = terms.get(id) ?? { id, label: group[0], spellings: [] };
+    terms.set(id, { ...term, spellings: [...term.spellings, ...group] });
+  });
+  return [...terms.values()].map((term) => ({ ...term, pattern: wordPattern(term.spellings) }));
+};
+
+const keywordStem = (word) => word.replace(/(?<!s)s$/, '');
+
+// Words of the description that come up repeatedly outside the skills it
+// names, most frequent first.
+const keywordsOf = (text, terms) => {
+  const rest = terms.reduce((remaining, term) => remaining.replace(new RegExp(term.pattern.source, 'giu'), ' '), text);
+  const counts = new Map();
+  (rest.toLowerCase().match(/\p{L}+/gu) ?? [])
+    .filter((word) => word.length >= MIN_KEYWORD_LENGTH && !STOPWORDS.has(word))
+    .forEach((word) => {
+      const stem = keywordStem(word);
+      counts.set(stem, { word: counts.get(stem)?.word ?? word, count: (counts.get(stem)?.count ?? 0) + 1 });
+    });
+  return [...counts.entries()]
+    .filter(([, { count }]) => count >= MIN_KEYWORD_COUNT)
+    .sort((a, b) => b[1].count - a[1].count)
+    .slice(0, MAX_KEYWORDS)
+    .map(([stem, { word }]) => ({ word, pattern: new RegExp(`(?<![\\p{L}])${stem}(?:s|es|ed|ing)?(?![\\p{L}])`, 'iu') }));
+};
+
+// Which details of each experience mention `pattern`, by experience id.
+const detailsMentioning = (experiences, pattern) => new Map(
+  experiences
+    .map((experience) => [
+      experience.id,
+      experience.details.flatMap((detail, position) => (pattern.test(detail) ? [position] : []))
+    ])
+    .filter(([, positions]) => positions.length > 0)
+);
+
+/**
+ * Matches a job description against the portfolio. `content` is the localized
+ * site content and `index` the skill index for the same locale. Returns:
+ * - `skills`: every skill the description mentions, heaviest first, as
+ *   `{ id, label, weight, isMatch, experiences }` where `experiences` lists
+ *   the ids of experiences tagged with it or mentioning it.
+ * - `keywords`: repeated words also found in experience details, as
+ *   `{ word, experiences }`.
+ * - `score`: the matched share of the skills' weight, 0–100, or null when no
+ *   skill was recognised.
+ * - `highlights`: experience id -> the Set of detail positions to highlight.
+ */
+export const matchJob = (text, content, index) => {
+  const { experiences, skillCategories, jobSkills } = content;
+  const lines = weightedLines(text);
+  const terms = vocabulary(index, jobSkills);
+  const portfolioSkills = new Set(skillCategories.flatMap((category) => category.skills.map((skill) => index.idOf(skill))));
+  const highlights = new Map();
+  const highlight = (mentions) => mentions.forEach((positions, id) => {
+    highlights.set(id, new Set([...(highlights.get(id) ?? []), ...positions]));
+  });
+
+  const skills = terms
+    .map((term) => {
+      const weights = lines.filter(({ line }) => term.pattern.test(line)).map(({ weight }) => weight);
+      if (weights.length === 0) return null;
+
+      const related = index.related(term.id);
+      const mentions = detailsMentioning(experiences, term.pattern);
+      const tagged = experiences.filter((experience) => experience.tags.some((tag) => related.has(index.idOf(tag))));
+      const matchedIds = new Set([...tagged.map((experience) => experience.id), ...mentions.keys()]);
+      const isMatch = matchedIds.size > 0 || [...related].some((id) => portfolioSkills.has(id));
+      highlight(mentions);
+
+      return {
+        id: term.id,
+        label: term.label,
+        weight: Math.max(...weights) * (1 + REPEAT_BONUS * Math.min(weights.length - 1, MAX_REPEATS)),
+        isMatch,
+        experiences: experiences.map((experience) => experience.id).filter((id) => matchedIds.has(id))
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.weight - a.weight || a.label.localeCompare(b.label));
+
+  const keywords = keywordsOf(text, terms)
+    .map(({ word, pattern }) => {
+      const mentions = detailsMentioning(experiences, pattern);
+      highlight(mentions);
+      return { word, experiences: [...mentions.keys()] };
+    })
+    .filter((keyword) => keyword.experiences.length > 0);
+
+  const total = skills.reduce((sum, skill) => sum + skill.weight, 0);
+  const matched = skills.filter((skill) => skill.isMatch).reduce((sum, skill) => sum + skill.weight, 0);
+
+  return {
+    skills,
+    keywords,
+    score: total > 0 ? Math.round((matched / total) * 100) : null,
+    highlights
+  };
+};
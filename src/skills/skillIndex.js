@@ -0,0 +1,106 @@
+import { localizedContent } from 'virtual:content';
+import { DEFAULT_LOCALE } from '../i18n/locales.js';
+
+// Skills and experience tags share one vocabulary. Every label gets an id
+// derived from its default-locale spelling ("Power Apps" -> "power-apps"), so
+// a filter in the URL means the same thing in every language.
+
+export const toSkillId = (label) => label
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Matches any of `alternatives` as a whole word, ignoring case. */
+export const wordPattern = (alternatives) => {
+  const sorted = [...alternatives].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${sorted.join('|')})(?![\\p{L}\\p{N}])`, 'iu');
+};
+
+// Translations keep tags and skills in the original order (enforced by the
+// content schema), so labels are paired with their default-locale originals
+// by position.
+const labelPairs = (content, defaults) => [
+  ...content.experiences.flatMap((experience, index) => (
+    experience.tags.map((tag, position) => [tag, defaults.experiences[index].tags[position]])
+  )),
+  ...content.skillCategories.flatMap((category, index) => (
+    category.skills.map((skill, position) => [skill, defaults.skillCategories[index].skills[position]])
+  ))
+];
+
+const buildIndex = (locale) => {
+  const content = localizedContent[locale];
+  const defaults = localizedContent[DEFAULT_LOCALE];
+  const labels = new Map();
+  const spellings = new Map();
+  const ids = new Map();
+
+  labelPairs(content, defaults).forEach(([label, original]) => {
+    const id = toSkillId(original);
+    if (!labels.has(id)) labels.set(id, label);
+    spellings.set(id, new Set([...(spellings.get(id) ?? []), label, original]));
+    ids.set(label.toLowerCase(), id);
+    ids.set(original.toLowerCase(), id);
+  });
+
+  const groups = new Map();
+  content.skillSynonyms.forEach((group) => {
+    const groupIds = group.map(toSkillId);
+    groupIds.forEach((id) => {
+      groups.set(id, new Set([...(groups.get(id) ?? [id]), ...groupIds]));
+    });
+  });
+
+  const related = (id) => groups.get(id) ?? new Set([id]);
+
+  const patterns = new Map();
+  const mentionPattern = (id) => {
+    if (!patterns.has(id)) {
+      patterns.set(id, wordPattern([...related(id)].flatMap((relatedId) => [...(spellings.get(relatedId) ?? [])])));
+    }
+    return patterns.get(id);
+  };
+
+  return {
+    ids: () => [...labels.keys()],
+    has: (id) => labels.has(id),
+    idOf: (label) => ids.get(label.toLowerCase()),
+    labelOf: (id) => labels.get(id) ?? id,
+    /** The ways the skill itself is written, in this locale and the default one. */
+    spellingsOf: (id) => [...(spellings.get(id) ?? [])],
+    related,
+    /** True when `text` mentions the skill or one of its synonyms. */
+    mentions: (id, text) => mentionPattern(id).test(text)
+  };
+};
+
+const indexes = new Map();
+
+export const getSkillIndex = (locale) => {
+  if (!indexes.has(locale)) indexes.set(locale, buildIndex(locale));
+  return indexes.get(locale);
+};
+
+/**
+ * Which parts of an experience a skill filter matches: its tags (by id), its
+ * description and its details (by index).
+ */
+export const matchExperience = (experience, id, index) => {
+  const related = index.related(id);
+  const tags = new Set(experience.tags.filter((tag) => related.has(index.idOf(tag))));
+  const details = new Set(
+    experience.details
+      .map((detail, position) => (index.mentions(id, detail) ? position : -1))
+      .filter((position) => position !== -1)
+  );
+  const description = index.mentions(id, experience.description);
+
+  return {
+    tags,
+    details,
+    description,
+    isMatch: tags.size > 0 || details.size > 0 || description
+  };
+};
@@ -0,0 +1,64 @@
+import { useSyncExternalStore } from 'react';
+import { applyTheme, THEME_COLORS, THEME_STORAGE_KEY } from './themes.js';
+
+// The theme lives outside React: <html data-theme> is the source of truth for
+// the resolved theme and localStorage holds the visitor's preference.
+
+const THEME_EVENT = 'app:themechange';
+const MEDIA_QUERIES = ['(prefers-color-scheme: light)', '(prefers-contrast: more)'];
+
+// Used when localStorage is unavailable (e.g. blocked storage), so a choice
+// still holds for the rest of the visit.
+let memoryPreference = 'system';
+
+const readPreference = () => {
+  try {
+    return window.localStorage.getItem(THEME_STORAGE_KEY) ?? 'system';
+  } catch {
+    return memoryPreference;
+  }
+};
+
+const subscribe = (callback) => {
+  const onSystemChange = () => {
+    if (readPreference() !== 'system') return;
+    applyTheme(THEME_STORAGE_KEY, THEME_COLORS, null);
+    callback();
+  };
+  const onStorage = (event) => {
+    if (event.key !== THEME_STORAGE_KEY) return;
+    applyTheme(THEME_STORAGE_KEY, THEME_COLORS);
+    callback();
+  };
+  const queries = MEDIA_QUERIES.map((query) => window.matchMedia(query));
+
+  queries.forEach((query) => query.addEventListener('change', onSystemChange));
+  window.addEventListener('storage', onStorage);
+  window.addEventListener(THEME_EVENT, callback);
+  return () => {
+    queries.forEach((query) => query.removeEventListener('change', onSystemChange));
+    window.removeEventListener('storage', onStorage);
+    window.removeEventListener(THEME_EVENT, callback);
+  };
+};
+
+export const setThemePreference = (preference) => {
+  memoryPreference = preference;
+  try {
+    if (preference === 'system') {
+      window.localStorage.removeItem(THEME_STORAGE_KEY);
+    } else {
+      window.localStorage.setItem(THEME_STORAGE_KEY, preference);
+    }
+  } catch {
+    // Not persisted; memoryPreference keeps it for this visit.
+  }
+  applyTheme(THEME_STORAGE_KEY, THEME_COLORS, preference === 'system' ? null : preference);
+  window.dispatchEvent(new Event(THEME_EVENT));
+};
+
+const getPreference = () => readPreference();
+const getTheme = () => document.documentElement.dataset.theme ?? 'dark';
+
+export const useThemePreference = () => useSyncExternalStore(subscribe, getPreference, () => 'system');
+export const useResolvedTheme = () => useSyncExternalStore(subscribe, getTheme, () => 'dark');
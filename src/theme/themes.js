@@ -0,0 +1,45 @@
+// Theme definitions shared by the runtime theme store and the inline boot
+// script that plugins/theme.js writes into index.html.
+
+export const THEME_STORAGE_KEY = 'theme-preference';
+
+export const THEMES = {
+  dark: { themeColor: '#070b14' },
+  light: { themeColor: '#f6f8fc' },
+  'high-contrast': { themeColor: '#000000' }
+};
+
+// Labels live in the i18n catalogs under `theme.options.<value>`.
+export const THEME_PREFERENCES = ['system', ...Object.keys(THEMES)];
+
+/**
+ * Resolves a preference (the stored one unless `preference` is given) to a
+ * theme, applies it to <html> and updates the `theme-color` meta. This function
+ * is serialized into index.html and runs before first paint, so it must stay
+ * self-contained.
+ */
+export function applyTheme(storageKey, themeColors, preference) {
+  if (preference === undefined) {
+    try {
+      preference = window.localStorage.getItem(storageKey);
+    } catch {
+      preference = null;
+    }
+  }
+
+  var theme = preference;
+  if (!Object.prototype.hasOwnProperty.call(themeColors, theme)) {
+    if (window.matchMedia('(prefers-contrast: more)').matches) theme = 'high-contrast';
+    else if (window.matchMedia('(prefers-color-scheme: light)').matches) theme = 'light';
+    else theme = 'dark';
+  }
+
+  document.documentElement.dataset.theme = theme;
+  var meta = document.querySelector('meta[name="theme-color"]');
+  if (meta) meta.setAttribute('content', themeColors[theme]);
+  return theme;
+}
+
+export const THEME_COLORS = Object.fromEntries(
+  Object.entries(THEMES).map(([name, { themeColor }]) => [name, themeColor])
+);
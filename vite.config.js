@@ -1,7 +1,29 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import api from './plugins/api.js'
+import content from './plugins/content/index.js'
+import feeds from './plugins/feeds.js'
+import githubContributions from './plugins/githubContributions.js'
+import i18n from './plugins/i18n.js'
+import ogImages from './plugins/og/index.js'
+import prerender from './plugins/prerender.js'
+import pwa from './plugins/pwa.js'
+import resume from './plugins/resume/index.js'
+import theme from './plugins/theme.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    content(),
+    i18n(),
+    react(),
+    theme(),
+    resume(),
+    feeds(),
+    ogImages(),
+    githubContributions(),
+    prerender(),
+    pwa(),
+    api(),
+  ],
 })